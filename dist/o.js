@@ -0,0 +1,2907 @@
+/**
+ * odotjs - Prototypal OO made easy.
+ *
+ * Copyright (c) Eric Elliott 2012
+ * MIT License
+ * http://www.opensource.org/licenses/mit-license.php
+ */
+
+/*global exports, console, WeakMap, WeakSet, Map, Set, ArrayBuffer, Promise */
+
+// Polyfills
+(function () {
+  'use strict';
+  // Shim .forEach()
+  if (!Array.prototype.forEach) {
+    Array.prototype.forEach = function (fn, scope) {
+      var i,
+        length = this.length;
+      for (i = 0, length; i < length; ++i) {
+        fn.call(scope || this, this[i], i, this);
+      }
+    };
+  }
+
+  // Shim Object.create()
+  if (!Object.create) {
+    Object.create = function (o) {
+      if (arguments.length > 1) {
+        throw new Error('Object.create implementation only accepts the first parameter.');
+      }
+      function F() {}
+      F.prototype = o;
+      return new F();
+    };
+  }
+
+  // Shim String.prototype.trim()
+  if(!String.prototype.trim) {
+    String.prototype.trim = function () {
+      return this.replace(/^\s+|\s+$/g,'');
+    };
+  }
+}());
+
+(function (exports) {
+  'use strict';
+  var namespace = 'odotjs',
+
+    // Keys that can change an object's prototype or constructor.
+    unsafeKeys = ['__proto__', 'constructor', 'prototype'],
+
+    unsafeKeyPolicies = ['drop', 'throw', 'warn', 'allow'],
+
+    // What to do with unsafe keys, unless told otherwise.
+    unsafeKeyPolicy = 'drop',
+
+    /**
+     * Apply the unsafe key policy to key. 'drop' skips it
+     * silently, 'warn' skips it with a console warning,
+     * 'throw' throws a TypeError and 'allow' lets it through.
+     *
+     * @param  {String|Symbol} key    key to check
+     * @param  {String} [policy]      policy to use
+     * @return {Boolean}              is it safe to copy key?
+     */
+    isSafeKey = function isSafeKey(key, policy) {
+      var message;
+
+      policy = policy || unsafeKeyPolicy;
+
+      if (policy === 'allow' || unsafeKeys.indexOf(key) === -1) {
+        return true;
+      }
+
+      message = namespace + ': Unsafe key "' + key + '"';
+
+      if (policy === 'throw') {
+        throw new TypeError(message + ' is not allowed.');
+      }
+      if (policy === 'warn' && typeof console !== 'undefined') {
+        console.warn(message + ' was dropped.');
+      }
+
+      return false;
+    },
+
+    checkPolicy = function checkPolicy(policy) {
+      if (unsafeKeyPolicies.indexOf(policy) === -1) {
+        throw new TypeError(namespace + ': Unknown unsafe key ' +
+          'policy "' + policy + '". Use one of: ' +
+          unsafeKeyPolicies.join(', ') + '.');
+      }
+      return policy;
+    },
+
+    /**
+     * Set the default unsafe key policy for extend,
+     * mapOptions and factory options.
+     *
+     * @param  {String} policy 'drop', 'throw', 'warn' or 'allow'
+     * @return {String}        the previous policy
+     */
+    setUnsafeKeyPolicy = function setUnsafeKeyPolicy(policy) {
+      var previous = unsafeKeyPolicy;
+      unsafeKeyPolicy = checkPolicy(policy);
+      return previous;
+    },
+
+    // Find a property descriptor on obj or its prototype chain.
+    findDescriptor = function findDescriptor(obj, prop) {
+      var descriptor;
+
+      while (obj && !descriptor) {
+        descriptor = Object.getOwnPropertyDescriptor(obj, prop);
+        obj = Object.getPrototypeOf(obj);
+      }
+
+      return descriptor;
+    },
+
+    isEnumerable = function isEnumerable(obj, key) {
+      return Object.prototype.propertyIsEnumerable.call(obj, key);
+    },
+
+    isSymbol = function isSymbol(key) {
+      return typeof key === 'symbol';
+    },
+
+    // String and Symbol keys of obj's own properties.
+    ownKeys = function ownKeys(obj, enumerableOnly) {
+      var keys = Object.getOwnPropertyNames(obj)
+        .concat(Object.getOwnPropertySymbols(obj));
+
+      return enumerableOnly ? keys.filter(function (key) {
+        return isEnumerable(obj, key);
+      }) : keys;
+    },
+
+    /**
+     * List the keys extend should copy from source: own keys,
+     * then, unless ownOnly is set, the enumerable keys it
+     * inherits. Symbol keys are included.
+     *
+     * @param  {Object} source        object to copy from
+     * @param  {Boolean} enumerableOnly skip own non-enumerables?
+     * @param  {Boolean} ownOnly      skip inherited keys?
+     * @return {Array}                keys
+     */
+    keysToCopy = function keysToCopy(source, enumerableOnly, ownOnly) {
+      var keys = ownKeys(source, enumerableOnly),
+        add = function add(key) {
+          if (keys.indexOf(key) === -1) {
+            keys.push(key);
+          }
+        },
+        proto = Object.getPrototypeOf(source),
+        key;
+
+      if (ownOnly) {
+        return keys;
+      }
+
+      for (key in source) {
+        add(key);
+      }
+
+      // for..in skips Symbols, so walk the chain for them.
+      while (proto) {
+        ownKeys(proto, true).filter(isSymbol).forEach(add);
+        proto = Object.getPrototypeOf(proto);
+      }
+
+      return keys;
+    },
+
+    /**
+     * Copy one property from source to obj, with its full
+     * descriptor. Accessors are copied without being called.
+     * A data property is assigned instead when obj has a
+     * setter for the key, so the setter runs, or a writable
+     * property that can't be redefined.
+     */
+    copyProperty = function copyProperty(obj, source, key) {
+      var descriptor = findDescriptor(source, key),
+        existing = findDescriptor(obj, key),
+        isOwn = Object.prototype.hasOwnProperty.call(obj, key);
+
+      if ('value' in descriptor && existing && (existing.set ||
+          (isOwn && existing.writable && !existing.configurable))) {
+        obj[key] = descriptor.value;
+        return;
+      }
+
+      Object.defineProperty(obj, key, descriptor);
+    },
+
+    /**
+     * Returns an extend function with the given settings.
+     * By default, getters and setters are copied as they
+     * are, and non-enumerable properties stay that way.
+     * Symbol keys are copied, too.
+     *
+     * @param  {Object} [settings]
+     * @param  {Boolean} [settings.copyValues] assign values
+     *   instead of copying descriptors
+     * @param  {Boolean} [settings.ownOnly] skip inherited
+     *   properties of the sources
+     * @param  {String} [settings.unsafeKeys] unsafe key policy,
+     *   defaults to the global policy
+     * @return {Function} extend(obj, source1, source2...)
+     */
+    extendWith = function extendWith(settings) {
+      var copyValues = !!(settings && settings.copyValues),
+        ownOnly = !!(settings && settings.ownOnly),
+        policy = settings && settings.unsafeKeys &&
+          checkPolicy(settings.unsafeKeys);
+
+      // Adapted from Underscore.
+      return function extend(obj) {
+        var args = [].slice.call(arguments, 1);
+        args.forEach(function (source) {
+          if (source == null) {
+            return;
+          }
+
+          source = Object(source);
+
+          // Value copies only see enumerable properties.
+          keysToCopy(source, copyValues, ownOnly).forEach(
+            function (key) {
+              if (!isSafeKey(key, policy)) {
+                return;
+              }
+              if (copyValues) {
+                obj[key] = source[key];
+              } else {
+                copyProperty(obj, source, key);
+              }
+            });
+        });
+        return obj;
+      };
+    },
+
+    extend = extendWith(),
+
+    extendValues = extendWith({ copyValues: true }),
+
+    plugins = {},
+
+    // Parameters o.factory() takes by position, or by name.
+    factoryOptionNames = 'sharedProperties, defaultProperties,' +
+      ' instanceInit, factoryInit, ignoreOptions',
+
+    // Settings o.factory() only reads from a named hash.
+    factorySettingNames = 'async, schema, unknownOptions, name,' +
+      ' beforeInit, afterInit, evented, copyValues, merge,' +
+      ' acceptOptions, freeze, traits, advice',
+
+    // Factory configs, keyed by the factory function.
+    factoryConfigs = new WeakMap(),
+
+    // The factory that created each instance.
+    instanceFactories = new WeakMap(),
+
+    // Factories that a composed or derived factory came from.
+    factoryLineage = new WeakMap(),
+
+    // Remember which factory made obj.
+    track = function track(obj, factory) {
+      if (obj instanceof Object && !instanceFactories.has(obj)) {
+        instanceFactories.set(obj, factory);
+      }
+      return obj;
+    },
+
+    // Does factory appear in the lineage of candidate?
+    descendsFrom = function descendsFrom(candidate, factory) {
+      if (candidate === factory) {
+        return true;
+      }
+      return (factoryLineage.get(candidate) || []).some(
+        function (ancestor) {
+          return descendsFrom(ancestor, factory);
+        });
+    },
+
+    // Global lifecycle listeners, by event name.
+    lifecycleListeners = {
+      beforeInit: [],
+      afterInit: [],
+      destroy: []
+    },
+
+    // Teardown callbacks, keyed by instance.
+    teardowns = new WeakMap(),
+
+    // Add to the global plugin collection. A `lifecycle` key
+    // subscribes listeners to lifecycle events instead.
+    // Returns a function that unsubscribes them.
+    addPlugins = function (newPlugins) {
+      var lifecycle = newPlugins && newPlugins.lifecycle,
+        added = [];
+
+      if (lifecycle) {
+        Object.keys(lifecycle).forEach(function (event) {
+          if (!lifecycleListeners[event]) {
+            throw new TypeError(namespace + ': Unknown lifecycle ' +
+              'event "' + event + '".');
+          }
+        });
+        Object.keys(lifecycle).forEach(function (event) {
+          var listener = lifecycle[event];
+          lifecycleListeners[event].push(listener);
+          added.push([event, listener]);
+        });
+
+        newPlugins = extend({}, newPlugins);
+        delete newPlugins.lifecycle;
+      }
+
+      extend(plugins, newPlugins);
+
+      return function removeLifecycleListeners() {
+        added.splice(0).forEach(function (entry) {
+          var listeners = lifecycleListeners[entry[0]],
+            index = listeners.indexOf(entry[1]);
+
+          if (index !== -1) {
+            listeners.splice(index, 1);
+          }
+        });
+      };
+    },
+
+    // Tell global lifecycle listeners about obj.
+    emitLifecycle = function emitLifecycle(event, obj, options) {
+      lifecycleListeners[event].forEach(function (listener) {
+        listener(obj, options);
+      });
+    },
+
+    // Add to the current object prototype.
+    share = function share(name, prop) {
+      this.proto[name] = prop;
+    },
+
+    // Register a teardown callback for this instance.
+    // Destroyed instances run it right away.
+    onDestroy = function onDestroy(callback) {
+      var callbacks = teardowns.get(this);
+
+      if (callbacks === null) {
+        callback.call(this);
+        return this;
+      }
+
+      teardowns.set(this, (callbacks || []).concat(callback));
+
+      return this;
+    },
+
+    // Run teardown callbacks, last registered first.
+    destroy = function destroy() {
+      var obj = this,
+        callbacks = teardowns.get(obj);
+
+      // Already destroyed.
+      if (callbacks === null) {
+        return obj;
+      }
+
+      teardowns.set(obj, null);
+      (callbacks || []).reverse().forEach(function (callback) {
+        callback.call(obj);
+      });
+
+      emitLifecycle('destroy', obj);
+
+      return obj;
+    },
+
+    // Built in lifecycle methods, by name.
+    lifecycleMethods = function lifecycleMethods() {
+      return {
+        onDestroy: onDestroy,
+        destroy: destroy,
+        'with': withChanges
+      };
+    },
+
+    // Pass the global plugins to the object
+    // prototype. onDestroy, destroy and with are only added
+    // to object prototypes that don't define their own.
+    bless = function bless(proto) {
+      var methods = lifecycleMethods();
+
+      proto.share = share;
+      if (typeof proto !== 'function') {
+        Object.keys(methods).forEach(function (name) {
+          if (!(name in proto)) {
+            proto[name] = methods[name];
+          }
+        });
+      }
+
+      extend(proto, plugins);
+
+      return proto;
+    },
+
+    /**
+     * Call init on obj, surrounded by the beforeInit and
+     * afterInit hooks and global lifecycle listeners. If
+     * init returns a promise, afterInit waits for it. The
+     * instance is frozen, if asked, before afterInit runs.
+     *
+     * @param  {Object} obj       new object
+     * @param  {Function} init    init function
+     * @param  {Object} options   options passed to init
+     * @param  {Object} hooks     beforeInit, afterInit and freeze
+     * @return {*}                whatever init returns
+     */
+    runInit = function runInit(obj, init, options, hooks) {
+      var result,
+        afterInit = function afterInit(instance) {
+          instance = freeze(instance || obj, hooks.freeze);
+          if (typeof hooks.afterInit === 'function') {
+            hooks.afterInit.call(instance, options);
+          }
+          emitLifecycle('afterInit', instance, options);
+        };
+
+      if (typeof hooks.beforeInit === 'function') {
+        hooks.beforeInit.call(obj, options);
+      }
+      emitLifecycle('beforeInit', obj, options);
+
+      result = init.call(obj, options);
+
+      if (isThenable(result)) {
+        return result.then(function (instance) {
+          afterInit(instance);
+          return instance;
+        });
+      }
+
+      afterInit(result);
+
+      return result;
+    },
+
+    freezeModes = [true, 'shallow', 'deep'],
+
+    checkFreezeMode = function checkFreezeMode(mode) {
+      if (mode && freezeModes.indexOf(mode) === -1) {
+        throw new TypeError(namespace + ': Unknown freeze mode "' +
+          String(mode) + '". Use true, "shallow" or "deep".');
+      }
+      return mode;
+    },
+
+    /**
+     * Freeze obj. The 'deep' mode also freezes the objects
+     * it holds, but never its prototype or functions.
+     *
+     * @param  {Object} obj          object to freeze
+     * @param  {Boolean|String} mode true, 'shallow' or 'deep'
+     * @param  {Set} [seen]          objects visited (for cycles)
+     * @return {Object}              obj
+     */
+    freeze = function freeze(obj, mode, seen) {
+      if (!mode || !(obj instanceof Object) ||
+          typeof obj === 'function') {
+        return obj;
+      }
+
+      if (mode === 'deep') {
+        seen = seen || new Set();
+        seen.add(obj);
+
+        ownKeys(obj).forEach(function (key) {
+          var value = Object.getOwnPropertyDescriptor(obj, key).value;
+
+          if (key !== 'proto' && value instanceof Object &&
+              !seen.has(value)) {
+            freeze(value, mode, seen);
+          }
+        });
+      }
+
+      return Object.freeze(obj);
+    },
+
+    // Rebuild functions for .with(), keyed by instance.
+    rebuilders = new WeakMap(),
+
+    // Own property values, for .with().
+    snapshot = extendWith({ copyValues: true, ownOnly: true }),
+
+    /**
+     * Returns a new instance with the same prototype and the
+     * given changes. Objects made by o() start from this
+     * instance's own properties. Factory instances are made
+     * again from their options plus the changes, so schemas,
+     * acceptOptions and merge rules apply. Init runs again,
+     * and the new instance is frozen if this one was made
+     * with the freeze option.
+     *
+     * @param  {Object} changes properties to change
+     * @return {Object}         new instance
+     */
+    withChanges = function withChanges(changes) {
+      var rebuild = rebuilders.get(this);
+
+      if (!rebuild) {
+        throw new TypeError(namespace + ': .with() only works on ' +
+          'objects made by o() or o.factory().');
+      }
+
+      return rebuild(changes || {}, this);
+    },
+
+    // Combine lifecycle hooks, skipping missing ones.
+    combineHooks = function combineHooks(hooks) {
+      hooks = hooks.filter(function (hook) {
+        return typeof hook === 'function';
+      });
+      return hooks.length ? chainInits(hooks, true) : undefined;
+    },
+
+    // Event listeners, keyed by instance.
+    eventListeners = new WeakMap(),
+
+    // Split 'type.namespace' into its parts.
+    parseEvent = function parseEvent(event) {
+      var parts = String(event).split('.');
+      return {
+        type: parts[0],
+        namespace: parts.slice(1).join('.')
+      };
+    },
+
+    matchesNamespace = function matchesNamespace(entry, filter) {
+      return !filter.namespace || entry.namespace === filter.namespace;
+    },
+
+    // Does a registered listener match an event filter?
+    matchesEvent = function matchesEvent(entry, filter) {
+      return (!filter.type || entry.type === filter.type) &&
+        matchesNamespace(entry, filter);
+    },
+
+    /**
+     * Event emitter methods. Opt in with the `evented`
+     * option of o() or o.factory(). Listeners are stored
+     * per instance, never on the shared prototype.
+     */
+    evented = {
+      /**
+       * Listen for an event. Events may be namespaced
+       * ('click.menu'). Listen to '*' for every event.
+       *
+       * @param  {String} event     event name
+       * @param  {Function} listener listener
+       * @return {Object}           this
+       */
+      on: function on(event, listener) {
+        var entries = eventListeners.get(this) || [],
+          entry = parseEvent(event);
+
+        entry.listener = listener;
+        eventListeners.set(this, entries.concat(entry));
+
+        return this;
+      },
+
+      /**
+       * Listen for the next occurrence of an event only.
+       *
+       * @param  {String} event     event name
+       * @param  {Function} listener listener
+       * @return {Object}           this
+       */
+      once: function once(event, listener) {
+        var obj = this,
+          wrapper = function () {
+            obj.off(event, wrapper);
+            return listener.apply(this, arguments);
+          };
+
+        wrapper.listener = listener;
+
+        return obj.on(event, wrapper);
+      },
+
+      /**
+       * Stop listening. Leave out the listener to remove
+       * every listener for the event, leave out the type
+       * ('.menu') to remove a whole namespace, or leave
+       * out everything to remove all listeners.
+       *
+       * @param  {String} [event]     event name
+       * @param  {Function} [listener] listener
+       * @return {Object}             this
+       */
+      off: function off(event, listener) {
+        var filter = parseEvent(event || ''),
+          entries = eventListeners.get(this) || [];
+
+        eventListeners.set(this, entries.filter(function (entry) {
+          var matches = matchesEvent(entry, filter) && (!listener ||
+            entry.listener === listener ||
+            entry.listener.listener === listener);
+
+          // Dispatch in progress skips removed listeners.
+          if (matches) {
+            entry.removed = true;
+          }
+          return !matches;
+        }));
+
+        return this;
+      },
+
+      /**
+       * Call the listeners for an event with the remaining
+       * arguments. '*' listeners get the event name first.
+       * Namespaced listeners, '*.ns' included, only run for
+       * their own namespace or events without one.
+       *
+       * @param  {String} event event name
+       * @return {Object}       this
+       */
+      trigger: function trigger(event) {
+        var obj = this,
+          filter = parseEvent(event),
+          args = [].slice.call(arguments, 1),
+          entries = eventListeners.get(obj) || [];
+
+        entries.forEach(function (entry) {
+          if (entry.removed) {
+            return;
+          }
+          if (entry.type === '*') {
+            if (matchesNamespace(entry, filter)) {
+              entry.listener.apply(obj, [event].concat(args));
+            }
+          } else if (matchesEvent(entry, filter)) {
+            entry.listener.apply(obj, args);
+          }
+        });
+
+        return obj;
+      }
+    },
+
+    // Shared methods of trait objects.
+    traitProto = {
+      /**
+       * Returns a copy of this trait that also provides some
+       * methods under new names.
+       *
+       * @param  {Object} names new names, by current name
+       * @return {Object}       new trait
+       */
+      alias: function alias(names) {
+        var provides = extend({}, this.provides);
+
+        Object.keys(names).forEach(function (name) {
+          if (!Object.prototype.hasOwnProperty.call(provides, name)) {
+            throw new TypeError(namespace + ': Can\'t alias "' +
+              name + '". The trait doesn\'t provide it.');
+          }
+          provides[names[name]] = provides[name];
+        });
+
+        return makeTrait(provides, this.requires);
+      },
+
+      /**
+       * Returns a copy of this trait without some methods.
+       *
+       * @param  {...String} names methods to leave out
+       * @return {Object}          new trait
+       */
+      exclude: function exclude() {
+        var provides = extend({}, this.provides);
+
+        [].concat.apply([], arguments).forEach(function (name) {
+          delete provides[name];
+        });
+
+        return makeTrait(provides, this.requires);
+      }
+    },
+
+    makeTrait = function makeTrait(provides, requires) {
+      var newTrait = Object.create(traitProto);
+
+      newTrait.provides = provides;
+      newTrait.requires = requires;
+
+      return newTrait;
+    },
+
+    /**
+     * Create a trait: a set of methods to share, and the
+     * names of methods it needs from the rest of the
+     * prototype.
+     *
+     * @param  {Object} provides methods the trait provides
+     * @param  {Array} requires  names of required methods
+     * @return {Object}          trait
+     */
+    trait = function trait(provides, requires) {
+      var config = mapOptions('provides, requires', provides,
+        requires);
+
+      return makeTrait(extend({}, config.provides),
+        [].concat(config.requires || []));
+    },
+
+    // Add each new name to list.
+    addUnique = function addUnique(list, name) {
+      if (list.indexOf(name) === -1) {
+        list.push(name);
+      }
+      return list;
+    },
+
+    /**
+     * Add trait methods to proto. Two traits that provide
+     * different methods with the same name conflict, unless
+     * proto has its own method by that name.
+     *
+     * @param  {Object} proto  shared prototype
+     * @param  {Array} traits  traits from o.trait()
+     * @return {Object}        proto
+     */
+    applyTraits = function applyTraits(proto, traits) {
+      var methods = {},
+        conflicts = [];
+
+      traits.forEach(function (candidate) {
+        if (!traitProto.isPrototypeOf(candidate)) {
+          throw new TypeError(namespace + ': Traits must be made ' +
+            'with o.trait().');
+        }
+
+        ownKeys(candidate.provides, true).forEach(function (key) {
+          var method = candidate.provides[key];
+
+          // The shared prototype's own methods win.
+          if (Object.prototype.hasOwnProperty.call(proto, key)) {
+            return;
+          }
+
+          if (Object.prototype.hasOwnProperty.call(methods, key) &&
+              methods[key] !== method) {
+            addUnique(conflicts, String(key));
+          }
+          methods[key] = method;
+        });
+      });
+
+      if (conflicts.length) {
+        throw new TypeError(namespace + ': Trait conflict for "' +
+          conflicts.join('", "') + '". Exclude or alias the ' +
+          'method, or define it in sharedProperties.');
+      }
+
+      return extend(proto, methods);
+    },
+
+    // Throw if proto lacks a method that a trait requires.
+    checkRequirements = function checkRequirements(proto, traits) {
+      var missing = [];
+
+      traits.forEach(function (candidate) {
+        candidate.requires.forEach(function (name) {
+          if (!(name in proto)) {
+            addUnique(missing, String(name));
+          }
+        });
+      });
+
+      if (missing.length) {
+        throw new TypeError(namespace + ': Missing required ' +
+          'method "' + missing.join('", "') + '". Provide it ' +
+          'with a trait or in sharedProperties.');
+      }
+    },
+
+    // Advice records, keyed by target, then method name.
+    adviceRecords = new WeakMap(),
+
+    /**
+     * Wrap target[methodName] with advice. `before` runs
+     * with the arguments first. `around` gets a proceed
+     * function and the arguments array; call proceed() to
+     * run the method (pass arguments to change them).
+     * `after` gets the result followed by the arguments, and
+     * may return a new result. Advice added later wraps
+     * advice added earlier.
+     *
+     * @param  {Object} target      prototype or instance
+     * @param  {String} methodName  method to advise
+     * @param  {Object} advice      before, after and around
+     * @return {Function}           removes this advice
+     */
+    advise = function advise(target, methodName, advice) {
+      var records = adviceRecords.get(target),
+        record,
+        entry = extend({}, advice);
+
+      if (typeof target[methodName] !== 'function') {
+        throw new TypeError(namespace + ': Can\'t advise "' +
+          String(methodName) + '". It isn\'t a method.');
+      }
+
+      if (!records) {
+        records = new Map();
+        adviceRecords.set(target, records);
+      }
+
+      record = records.get(methodName);
+
+      if (!record) {
+        record = {
+          own: Object.prototype.hasOwnProperty.call(target,
+            methodName),
+          original: target[methodName],
+          advisors: []
+        };
+        records.set(methodName, record);
+
+        target[methodName] = function advised() {
+          var context = this,
+            // Inherited methods are looked up when called, so
+            // advice on the prototype still applies.
+            original = record.own ? record.original :
+              Object.getPrototypeOf(target)[methodName],
+            advisors = record.advisors.slice(),
+            call = function call(index, args) {
+              var current = advisors[index],
+                result,
+                changed;
+
+              if (index < 0) {
+                return original.apply(context, args);
+              }
+
+              if (typeof current.before === 'function') {
+                current.before.apply(context, args);
+              }
+
+              result = (typeof current.around === 'function') ?
+                current.around.call(context, function proceed() {
+                  return call(index - 1, arguments.length ?
+                    [].slice.call(arguments) : args);
+                }, args)
+                : call(index - 1, args);
+
+              if (typeof current.after === 'function') {
+                changed = current.after.apply(context,
+                  [result].concat(args));
+                result = (changed === undefined) ? result : changed;
+              }
+
+              return result;
+            };
+
+          return call(advisors.length - 1, [].slice.call(arguments));
+        };
+      }
+
+      record.advisors.push(entry);
+
+      return function removeAdvice() {
+        var index = record.advisors.indexOf(entry);
+
+        if (index === -1) {
+          return;
+        }
+
+        record.advisors.splice(index, 1);
+
+        // Put the method back when the last advice is gone.
+        if (!record.advisors.length) {
+          records['delete'](methodName);
+          if (record.own) {
+            target[methodName] = record.original;
+          } else {
+            delete target[methodName];
+          }
+        }
+      };
+    },
+
+    // Apply factory advice: { method: advice or [advice] }.
+    applyAdvice = function applyAdvice(proto, adviceMap) {
+      Object.keys(adviceMap || {}).forEach(function (methodName) {
+        [].concat(adviceMap[methodName]).forEach(function (advice) {
+          advise(proto, methodName, advice);
+        });
+      });
+    },
+
+    // The implementation each callNext() is running, keyed by
+    // object, then method name.
+    nextCalls = new WeakMap(),
+
+    // Find the next object after `from` in obj's delegate
+    // chain that has its own methodName.
+    findOwner = function findOwner(obj, methodName, from) {
+      var current = obj,
+        passed = !from;
+
+      while (current) {
+        if (passed && Object.prototype.hasOwnProperty.call(current,
+            methodName)) {
+          return current;
+        }
+        if (current === from) {
+          passed = true;
+        }
+        current = Object.getPrototypeOf(current);
+      }
+    },
+
+    // Find the object in obj's delegate chain whose own
+    // methodName is fn.
+    findImplementer = function findImplementer(obj, methodName, fn) {
+      var current = obj;
+
+      while (current) {
+        if (Object.prototype.hasOwnProperty.call(current,
+            methodName) && current[methodName] === fn) {
+          return current;
+        }
+        current = Object.getPrototypeOf(current);
+      }
+
+      throw new TypeError(namespace + ': The calling "' +
+        String(methodName) + '" method isn\'t in the delegate ' +
+        'chain.');
+    },
+
+    /**
+     * Call the implementation of methodName that the running
+     * one overrides, further up obj's delegate chain. Call it
+     * from inside an overriding method:
+     *
+     *   save: function save(record) {
+     *     return o.callNext(this, 'save', [record]);
+     *   }
+     *
+     * Without `caller`, the running method is only tracked
+     * while it runs synchronously. After an `await` or in a
+     * `.then()` callback, pass the calling method itself:
+     *
+     *   save: function save(record) {
+     *     return check(record).then(function () {
+     *       return o.callNext(this, 'save', [record], save);
+     *     }.bind(this));
+     *   }
+     *
+     * @param  {Object} obj         the object (usually `this`)
+     * @param  {String} methodName  method name
+     * @param  {Array} [args]       arguments for the method
+     * @param  {Function} [caller]  the calling method
+     * @return {*}                  what the next method returns
+     */
+    callNext = function callNext(obj, methodName, args, caller) {
+      var active = nextCalls.get(obj),
+        previous,
+        current,
+        next;
+
+      if (!active) {
+        active = new Map();
+        nextCalls.set(obj, active);
+      }
+
+      // Outside of a callNext(), the running method is the
+      // first one found.
+      current = (typeof caller === 'function') ?
+        findImplementer(obj, methodName, caller)
+        : active.get(methodName) || findOwner(obj, methodName);
+      next = current && findOwner(obj, methodName, current);
+
+      if (!next || typeof next[methodName] !== 'function') {
+        throw new TypeError(namespace + ': No next "' +
+          String(methodName) + '" method to call.');
+      }
+
+      previous = active.get(methodName);
+      active.set(methodName, next);
+      try {
+        return next[methodName].apply(obj, args || []);
+      } finally {
+        if (previous) {
+          active.set(methodName, previous);
+        } else {
+          active['delete'](methodName);
+        }
+      }
+    },
+
+    // Create a blessed object without running any init.
+    instantiate = function instantiate(proto, instanceProperties,
+        copy) {
+      bless(proto);
+
+      return (copy || extend)(Object.create(proto), {proto: proto},
+        instanceProperties);
+    },
+
+    // Generator functions, keyed by their o.generate() marker.
+    generators = new WeakMap(),
+
+    /**
+     * Mark a default value as generated: o.factory() calls
+     * fn(options, key) for each instance, instead of copying
+     * a shared value.
+     *
+     * @param  {Function} fn value generator
+     * @return {Object}      marker for defaultProperties
+     */
+    generate = function generate(fn) {
+      var marker = Object.freeze({});
+
+      if (typeof fn !== 'function') {
+        throw new TypeError(namespace + ': o.generate() needs a ' +
+          'function.');
+      }
+
+      generators.set(marker, fn);
+
+      return marker;
+    },
+
+    /**
+     * Replace generator markers in obj (and the objects it
+     * holds) with freshly generated values. Top level keys
+     * in skip are left alone.
+     *
+     * @param  {Object} obj     copied defaults
+     * @param  {Object} options instance options
+     * @param  {Object} [skip]  keys provided some other way
+     * @param  {Set} [seen]     objects visited (for cycles)
+     * @return {Object}         obj
+     */
+    resolveGenerators = function resolveGenerators(obj, options, skip,
+        seen) {
+      seen = seen || new Set();
+      seen.add(obj);
+
+      ownKeys(obj, true).forEach(function (key) {
+        var value = obj[key];
+
+        if (skip && Object.prototype.hasOwnProperty.call(skip, key)) {
+          return;
+        }
+
+        if (generators.has(value)) {
+          obj[key] = generators.get(value)(options, key);
+        } else if (value instanceof Object && !seen.has(value) &&
+            (isPlainObject(value) || Array.isArray(value))) {
+          resolveGenerators(value, options, undefined, seen);
+        }
+      });
+
+      return obj;
+    },
+
+    toTag = function toTag(obj) {
+      return Object.prototype.toString.call(obj).slice(8, -1);
+    },
+
+    // Types that hold state we can't reach, so can't copy.
+    // Objects the fallback can copy through their prototype and
+    // own properties. Anything else with an unknown tag keeps
+    // its state in internal slots, so it can't be cloned.
+    plainTags = ['Object', 'Array', 'Arguments'],
+
+    wrapperTags = ['Number', 'String', 'Boolean', 'Symbol', 'BigInt'],
+
+    /**
+     * Structured deep copy. Preserves Dates, RegExps, Maps,
+     * Sets, typed arrays, primitive wrappers and cycles.
+     * Functions are copied by reference. Other built-in objects,
+     * such as WeakMaps and Promises, throw a TypeError.
+     *
+     * @param  {*} input   value to copy
+     * @param  {Map} [seen] copies made so far (for cycles)
+     * @return {*}         copy of input
+     */
+    clone = function clone(input, seen) {
+      var tag,
+        output;
+
+      // Generator markers are resolved later.
+      if (input === null || typeof input !== 'object' ||
+          generators.has(input)) {
+        return input;
+      }
+
+      seen = seen || new Map();
+      if (seen.has(input)) {
+        return seen.get(input);
+      }
+
+      tag = toTag(input);
+
+      if (wrapperTags.indexOf(tag) !== -1) {
+        output = Object(input.valueOf());
+      } else if (tag === 'Date') {
+        output = new Date(input.getTime());
+      } else if (tag === 'RegExp') {
+        output = new RegExp(input.source, input.flags);
+        output.lastIndex = input.lastIndex;
+      } else if (tag === 'ArrayBuffer') {
+        output = input.slice(0);
+      } else if (ArrayBuffer.isView(input)) {
+        output = new input.constructor(clone(input.buffer, seen),
+          input.byteOffset, input.length);
+      } else if (tag === 'Map') {
+        output = new Map();
+        seen.set(input, output);
+        input.forEach(function (value, key) {
+          output.set(clone(key, seen), clone(value, seen));
+        });
+        return output;
+      } else if (tag === 'Set') {
+        output = new Set();
+        seen.set(input, output);
+        input.forEach(function (value) {
+          output.add(clone(value, seen));
+        });
+        return output;
+      } else if (plainTags.indexOf(tag) === -1) {
+        throw new TypeError(namespace + ': Cannot clone ' + tag + '.');
+      } else {
+        output = Array.isArray(input) ? [] :
+          Object.create(Object.getPrototypeOf(input));
+        seen.set(input, output);
+        ownKeys(input, true).forEach(function (key) {
+          if (isSafeKey(key)) {
+            output[key] = clone(input[key], seen);
+          }
+        });
+        return output;
+      }
+
+      seen.set(input, output);
+      return output;
+    },
+
+    o,
+    api,
+    defaultInit = function init() {
+      return this;
+    },
+
+    isThenable = function isThenable(value) {
+      return !!value && typeof value.then === 'function';
+    },
+
+    /**
+     * Returns an init that calls each init in order. Each
+     * init gets the object returned by the one before it,
+     * unless keepContext is set. If an init returns a
+     * promise, the rest wait for it to resolve.
+     *
+     * @param  {Array} inits         init functions
+     * @param  {Boolean} keepContext call every init on `this`
+     * @return {Function}            combined init
+     */
+    chainInits = function chainInits(inits, keepContext) {
+      return function chainedInit(options) {
+        var step = function step(index, obj) {
+          var result,
+            next = function next(value) {
+              return step(index + 1, keepContext ? obj : value || obj);
+            };
+
+          if (index >= inits.length) {
+            return obj;
+          }
+
+          result = inits[index].call(obj, options);
+
+          return isThenable(result) ? result.then(next) : next(result);
+        };
+
+        return step(0, this);
+      };
+    },
+
+    // Types that typeof can't tell apart.
+    typeChecks = {
+      array: Array.isArray,
+      date: function isDate(value) {
+        return toTag(value) === 'Date';
+      },
+      object: function isObject(value) {
+        return value !== null && typeof value === 'object';
+      }
+    },
+
+    isType = function isType(value, type) {
+      if (typeof type === 'function') {
+        return value instanceof type;
+      }
+      if (typeChecks[type]) {
+        return typeChecks[type](value);
+      }
+      return typeof value === type;
+    },
+
+    // Rules may be given as a bare type.
+    toRule = function toRule(rule) {
+      return (typeof rule === 'string' || typeof rule === 'function') ?
+        { type: rule }
+        : rule || {};
+    },
+
+    /**
+     * Collect the defaults declared in an option schema.
+     *
+     * @param  {Object} schema option schema
+     * @return {Object}        default properties
+     */
+    schemaDefaults = function schemaDefaults(schema) {
+      var defaults = {};
+
+      Object.keys(schema || {}).forEach(function (key) {
+        var rule = toRule(schema[key]);
+        if (rule.hasOwnProperty('default')) {
+          defaults[key] = rule['default'];
+        }
+      });
+
+      return defaults;
+    },
+
+    /**
+     * Validate instance options against the factory schema.
+     * Throws a TypeError naming the factory and the key for
+     * any option that breaks a rule.
+     *
+     * @param  {Object} config  factory config
+     * @param  {Object} options instance options
+     * @return {Object}         options the schema accepts
+     */
+    applySchema = function applySchema(config, options) {
+      var schema = config.schema,
+        name = config.name || 'factory',
+        accepted = {},
+        fail = function fail(key, problem) {
+          throw new TypeError(namespace + ': ' + name + ' option "' +
+            key + '" ' + problem + '.');
+        };
+
+      options = options || {};
+
+      Object.keys(options).forEach(function (key) {
+        if (!schema.hasOwnProperty(key) &&
+            config.unknownOptions === 'reject') {
+          fail(key, 'is not allowed');
+        }
+      });
+
+      Object.keys(schema).forEach(function (key) {
+        var rule = toRule(schema[key]),
+          value = options[key],
+          type = rule.type;
+
+        if (value === undefined) {
+          if (rule.required) {
+            fail(key, 'is required');
+          }
+          return;
+        }
+
+        if (type && !isType(value, type)) {
+          fail(key, 'should be of type "' + (type.name || type) + '"');
+        }
+
+        if (rule['enum'] && rule['enum'].indexOf(value) === -1) {
+          fail(key, 'should be one of: ' + rule['enum'].join(', '));
+        }
+
+        if (typeof rule.validate === 'function' &&
+            !rule.validate(value, options)) {
+          fail(key, 'is invalid');
+        }
+
+        accepted[key] = value;
+      });
+
+      return accepted;
+    },
+
+    /**
+     * Normalize an acceptOptions setting to a map of option
+     * keys to { as, transform } rules. A list accepts keys
+     * as they are. In a map, `true` accepts a key, a string
+     * renames it, a function transforms its value, and an
+     * object can do both: { as: 'newKey', transform: fn }.
+     *
+     * @param  {Array|Object} accept acceptOptions setting
+     * @return {Object}              rules by option key
+     */
+    acceptRules = function acceptRules(accept) {
+      var rules = {};
+
+      if (Array.isArray(accept)) {
+        accept.forEach(function (key) {
+          rules[key] = { as: key };
+        });
+        return rules;
+      }
+
+      Object.keys(accept).forEach(function (key) {
+        var rule = accept[key];
+
+        if (typeof rule === 'string') {
+          rule = { as: rule };
+        } else if (typeof rule === 'function') {
+          rule = { transform: rule };
+        } else if (rule === true) {
+          rule = {};
+        } else if (!rule || typeof rule !== 'object') {
+          throw new TypeError(namespace + ': Invalid acceptOptions ' +
+            'rule for "' + key + '".');
+        }
+
+        rules[key] = {
+          as: rule.as || key,
+          transform: rule.transform
+        };
+      });
+
+      return rules;
+    },
+
+    /**
+     * Pick the accepted options, renamed and transformed.
+     *
+     * @param  {Object} rules   from acceptRules()
+     * @param  {Object} options instance options
+     * @return {Object}         instance properties
+     */
+    acceptOptions = function acceptOptions(rules, options) {
+      var accepted = {};
+
+      options = options || {};
+
+      Object.keys(rules).forEach(function (key) {
+        var rule = rules[key];
+
+        if (!Object.prototype.hasOwnProperty.call(options, key) ||
+            !isSafeKey(rule.as)) {
+          return;
+        }
+
+        accepted[rule.as] = (typeof rule.transform === 'function') ?
+          rule.transform(options[key], options)
+          : options[key];
+      });
+
+      return accepted;
+    },
+
+    mergeModes = ['replace', 'shallow', 'deep', 'concat'],
+
+    mergeStrategies = ['shallow', 'deep'],
+
+    isPlainObject = function isPlainObject(value) {
+      var proto;
+
+      if (toTag(value) !== 'Object') {
+        return false;
+      }
+      proto = Object.getPrototypeOf(value);
+      return proto === null || proto === Object.prototype;
+    },
+
+    checkMergeMode = function checkMergeMode(mode, setting) {
+      if (mode !== undefined && typeof mode !== 'function' &&
+          mergeModes.indexOf(mode) === -1) {
+        throw new TypeError(namespace + ': Unknown merge ' + setting +
+          ' "' + String(mode) + '". Use one of: ' +
+          mergeModes.join(', ') + '.');
+      }
+      return mode;
+    },
+
+    /**
+     * Normalize a factory merge setting. It can be a strategy
+     * name, or an object with these optional keys:
+     *
+     * strategy - 'shallow' replaces nested values (default),
+     *   'deep' merges nested objects
+     * arrays   - 'replace' (default) or 'concat'
+     * keys     - rules for particular key paths ('http.headers'):
+     *   'replace', 'shallow', 'deep', 'concat', or a
+     *   function (defaultValue, optionValue, key)
+     *
+     * @param  {String|Object} merge merge setting
+     * @return {Object}              merge settings
+     */
+    mergeSettings = function mergeSettings(merge) {
+      var keys = {};
+
+      if (!merge || typeof merge === 'string') {
+        merge = { strategy: merge };
+      }
+
+      Object.keys(merge.keys || {}).forEach(function (path) {
+        keys[path] = checkMergeMode(merge.keys[path], 'rule for "' +
+          path + '"');
+      });
+
+      // Arrays and key rules have their own settings, so only
+      // the way nested objects merge is a strategy.
+      if (merge.strategy !== undefined &&
+          mergeStrategies.indexOf(merge.strategy) === -1) {
+        throw new TypeError(namespace + ': Unknown merge strategy "' +
+          String(merge.strategy) + '". Use one of: ' +
+          mergeStrategies.join(', ') + '.');
+      }
+
+      return {
+        strategy: merge.strategy || 'shallow',
+        arrays: checkMergeMode(merge.arrays, 'arrays setting') ||
+          'replace',
+        keys: keys
+      };
+    },
+
+    hasNestedRules = function hasNestedRules(settings, path) {
+      return Object.keys(settings.keys).some(function (rulePath) {
+        return rulePath.indexOf(path + '.') === 0;
+      });
+    },
+
+    /**
+     * Merge source into target using merge settings.
+     *
+     * @param  {Object} target   object to change
+     * @param  {Object} source   values to merge in
+     * @param  {Object} settings from mergeSettings()
+     * @param  {String} path     key path of target
+     * @param  {String} mode     mode for keys without a rule
+     * @return {Object}          target
+     */
+    mergeInto = function mergeInto(target, source, settings, path,
+        mode) {
+      ownKeys(Object(source), true).forEach(function (key) {
+        var keyPath = (path ? path + '.' : '') + String(key),
+          rule = settings.keys[keyPath],
+          keyMode = rule || mode,
+          value = source[key],
+          current = target[key];
+
+        if (!isSafeKey(key)) {
+          return;
+        }
+
+        if (typeof rule === 'function') {
+          target[key] = rule(current, value, key);
+        } else if (Array.isArray(value) && Array.isArray(current)) {
+          target[key] = (keyMode === 'concat' ||
+              (!rule && settings.arrays === 'concat')) ?
+            current.concat(value)
+            : value;
+        } else if (isPlainObject(value) && isPlainObject(current) &&
+            (keyMode === 'deep' || hasNestedRules(settings, keyPath))) {
+          // Rules for nested paths need a walk down to them.
+          mergeInto(current, value, settings, keyPath, keyMode);
+        } else if (keyMode === 'shallow' && isPlainObject(value) &&
+            isPlainObject(current)) {
+          target[key] = extend({}, current, value);
+        } else {
+          target[key] = value;
+        }
+      });
+
+      return target;
+    },
+
+    // Returned by coercions for values they can't accept.
+    invalid = {},
+
+    /**
+     * Type coercions for signatures. Each one returns the
+     * coerced value, or `invalid`.
+     */
+    coercions = {
+      any: function (value) {
+        return value;
+      },
+      string: function (value) {
+        return (typeof value === 'string') ? value :
+          (typeof value === 'number' || typeof value === 'boolean') ?
+            String(value)
+            : invalid;
+      },
+      number: function (value) {
+        if (typeof value === 'string' && value.trim() !== '') {
+          value = Number(value);
+        }
+        return (typeof value === 'number' && !isNaN(value)) ?
+          value
+          : invalid;
+      },
+      boolean: function (value) {
+        if (value === 'true' || value === 'false') {
+          return value === 'true';
+        }
+        return (typeof value === 'boolean') ? value : invalid;
+      },
+      array: function (value) {
+        return Array.isArray(value) ? value : invalid;
+      },
+      object: function (value) {
+        return typeChecks.object(value) ? value : invalid;
+      },
+      'function': function (value) {
+        return (typeof value === 'function') ? value : invalid;
+      },
+      date: function (value) {
+        if (typeof value === 'string' || typeof value === 'number') {
+          value = new Date(value);
+        }
+        return (typeChecks.date(value) && !isNaN(value.getTime())) ?
+          value
+          : invalid;
+      }
+    },
+
+    // Parsed signatures, by signature string.
+    signatures = new Map(),
+
+    // Split on commas that aren't inside brackets or quotes.
+    splitSignature = function splitSignature(list) {
+      var parts = [],
+        depth = 0,
+        quote = '',
+        current = '';
+
+      list.split('').forEach(function (character) {
+        if (quote) {
+          quote = (character === quote) ? '' : quote;
+        } else if (character === '"' || character === '\'') {
+          quote = character;
+        } else if ('[{('.indexOf(character) !== -1) {
+          depth += 1;
+        } else if (']})'.indexOf(character) !== -1) {
+          depth -= 1;
+        } else if (character === ',' && !depth) {
+          parts.push(current);
+          current = '';
+          return;
+        }
+        current += character;
+      });
+
+      return parts.concat(current).map(function (part) {
+        return part.trim();
+      });
+    },
+
+    // Defaults are JSON, or strings (quoted or not).
+    parseDefault = function parseDefault(text) {
+      try {
+        return JSON.parse(text);
+      } catch (err) {
+        return text.replace(/^'([\s\S]*)'$/, '$1');
+      }
+    },
+
+    /**
+     * Parse one parameter: ...name|alias?:type=default
+     *
+     * Names can be dotted paths ('server.host'), and can have
+     * aliases for hashes ('timeout|ms').
+     *
+     * @param  {String} text      parameter text
+     * @param  {String} signature whole signature, for errors
+     * @return {Object}           parameter description
+     */
+    parseParam = function parseParam(text, signature) {
+      var match = new RegExp('^(\\.\\.\\.)?\\s*([^\\s:?=]+)\\s*(\\?)?' +
+          '\\s*(?::\\s*(\\w+))?\\s*(?:=([\\s\\S]*))?$').exec(text),
+        fail = function fail(problem) {
+          throw new TypeError(namespace + ': ' + problem +
+            ' in signature "' + signature + '".');
+        },
+        keys = match && match[2].split('|'),
+        param;
+
+      // Anything else is a plain name, as it always was.
+      if (!match || !keys.every(function (key) {
+          return (/^[^.|]+(\.[^.|]+)*$/).test(key);
+        })) {
+        return {
+          name: text,
+          path: [text],
+          aliases: [],
+          rest: false,
+          optional: false,
+          hasDefault: false
+        };
+      }
+
+      param = {
+        name: keys[0],
+        path: keys[0].split('.'),
+        aliases: keys.slice(1),
+        rest: !!match[1],
+        optional: !!match[3],
+        type: match[4],
+        hasDefault: match[5] !== undefined,
+        defaultText: match[5] && match[5].trim()
+      };
+
+      if (param.type && !coercions[param.type]) {
+        fail('Unknown type "' + param.type + '"');
+      }
+
+      if (param.rest && (param.optional || param.hasDefault)) {
+        fail('Rest parameter "' + param.name +
+          '" can\'t be optional or have a default');
+      }
+
+      return param;
+    },
+
+    /**
+     * Parse a signature such as
+     * 'resize(width:number, height:number=0, cb?:function)'.
+     * The function name is optional, and is used in errors.
+     *
+     * @param  {String} signature signature string
+     * @return {Object}           { name, params }
+     */
+    parseSignature = function parseSignature(signature) {
+      var parsed = signatures.get(signature),
+        match;
+
+      if (parsed) {
+        return parsed;
+      }
+
+      match = /^\s*([\w$.]+)\s*\(([\s\S]*)\)\s*$/.exec(signature);
+
+      parsed = {
+        name: match ? match[1] : 'mapOptions',
+        hasName: !!match,
+        params: splitSignature(match ? match[2] : signature)
+          .filter(function (text) {
+            return text !== '';
+          })
+          .map(function (text) {
+            return parseParam(text, signature);
+          })
+      };
+
+      parsed.params.forEach(function (param, index) {
+        if (param.rest && index !== parsed.params.length - 1) {
+          throw new TypeError(namespace + ': Rest parameter "' +
+            param.name + '" must come last in signature "' +
+            signature + '".');
+        }
+      });
+
+      signatures.set(signature, parsed);
+
+      return parsed;
+    },
+
+    // Are all the segments of a dotted name safe?
+    isSafePath = function isSafePath(name) {
+      return name.split('.').every(function (key) {
+        return isSafeKey(key);
+      });
+    },
+
+    /**
+     * Look up a dotted name in a hash, as a flat key first,
+     * then as a nested path.
+     *
+     * @return {Object} { found, value }
+     */
+    lookup = function lookup(hash, name) {
+      var path = name.split('.'),
+        value = hash;
+
+      if (name in hash) {
+        return { found: true, value: hash[name] };
+      }
+
+      if (path.length > 1 && path.every(function (key) {
+          var found = typeChecks.object(value) && key in value;
+          value = found ? value[key] : undefined;
+          return found;
+        })) {
+        return { found: true, value: value };
+      }
+
+      return { found: false };
+    },
+
+    // Build nested objects along a path, and set the value.
+    setPath = function setPath(obj, path, value) {
+      path.slice(0, -1).forEach(function (key) {
+        if (!typeChecks.object(obj[key])) {
+          obj[key] = {};
+        }
+        obj = obj[key];
+      });
+      obj[path[path.length - 1]] = value;
+    },
+
+    /**
+     * Apply signature types and defaults to mapped values.
+     * Throws a TypeError naming the function and parameter
+     * when a value is missing or has the wrong type.
+     *
+     * @param  {Object} signature from parseSignature()
+     * @param  {Object} values    mapped values, by full name
+     * @return {Object}           values
+     */
+    applySignature = function applySignature(signature, values) {
+      signature.params.forEach(function (param) {
+        var name = param.name,
+          value = values[name],
+          coerce = coercions[param.type],
+          fail = function fail(problem) {
+            throw new TypeError(namespace + ': ' + signature.name +
+              '() parameter "' + name + '" ' + problem + '.');
+          };
+
+        if (!isSafePath(name)) {
+          return;
+        }
+
+        if (param.rest) {
+          value = (value === undefined) ? [] : [].concat(value);
+          values[name] = !coerce ? value : value.map(function (item) {
+            var coerced = coerce(item);
+            if (coerced === invalid) {
+              fail('items should be of type "' + param.type + '"');
+            }
+            return coerced;
+          });
+          return;
+        }
+
+        if (value === undefined ||
+            (value === null && (param.optional || param.hasDefault))) {
+          if (param.hasDefault) {
+            // Parse again, so each call gets a fresh default.
+            values[name] = parseDefault(param.defaultText);
+          } else if (param.type && !param.optional) {
+            fail('is required');
+          }
+          return;
+        }
+
+        if (coerce) {
+          value = coerce(value);
+          if (value === invalid) {
+            fail('should be of type "' + param.type + '"');
+          }
+          values[name] = value;
+        }
+      });
+
+      return values;
+    },
+
+    // Hashes marked by o.named().
+    namedHashes = new WeakSet(),
+
+    /**
+     * Mark an object as a named parameters hash, so
+     * o.mapOptions() never mistakes it for a positional
+     * argument, whatever its values.
+     *
+     * @param  {Object} hash named parameters
+     * @return {Object}      the same object
+     */
+    named = function named(hash) {
+      if (!typeChecks.object(hash)) {
+        throw new TypeError(namespace +
+          ': o.named() needs an object.');
+      }
+      namedHashes.add(hash);
+      return hash;
+    },
+
+    detectModes = ['truthy', 'strict', 'mixed'],
+
+    isNamed = function isNamed(value) {
+      return typeChecks.object(value) && namedHashes.has(value);
+    },
+
+    // Does the hash hold any of the params, by key presence?
+    hasSomeParam = function hasSomeParam(hash, params) {
+      return isPlainObject(hash) && params.some(function (param) {
+        return param.keys.some(function (key) {
+          return lookup(hash, key).found;
+        });
+      });
+    },
+
+    /**
+     * Find where named parameters start. Returns the index of
+     * the hash argument, or -1 for plain positional arguments.
+     *
+     * truthy - the first argument is a hash if any name has a
+     *   truthy value in it (the original behavior), or if it's
+     *   a plain object with the key of a typed, optional or
+     *   defaulted param
+     * strict - the only argument is a hash if it's a plain
+     *   object with any of the names as keys
+     * mixed - like strict, but the hash may also trail the
+     *   leading positional arguments
+     *
+     * An o.named() hash is always a hash, first or last.
+     */
+    findHash = function findHash(detect, params, args) {
+      var last = args.length - 1;
+
+      if (last < 0) {
+        return -1;
+      }
+      if (isNamed(args[last])) {
+        return last;
+      }
+      if (isNamed(args[0])) {
+        return 0;
+      }
+
+      // Typed, optional and defaulted params only need their
+      // key in a plain object, so falsy values still count.
+      if (detect === 'truthy') {
+        return (args[0] && params.some(function (param) {
+          var typed = param.param.type || param.param.optional ||
+            param.param.hasDefault || param.param.rest;
+          return param.keys.some(function (key) {
+            var found = lookup(Object(args[0]), key);
+            return found.value ||
+              (typed && found.found && isPlainObject(args[0]));
+          });
+        })) ? 0 : -1;
+      }
+
+      if (detect === 'strict') {
+        return (last === 0 && hasSomeParam(args[0], params)) ? 0 : -1;
+      }
+
+      // mixed: only params after the positional ones count.
+      return hasSomeParam(args[last], params.slice(last)) ? last : -1;
+    },
+
+    /**
+     * Returns a mapOptions function with the given settings.
+     *
+     * @param  {Object} [settings]
+     * @param  {String} [settings.detect] how to spot a named
+     *   parameters hash: 'truthy' (default), 'strict' or 'mixed'
+     * @return {Function} mapOptions(signature, arg1, arg2...)
+     */
+    mapOptionsWith = function mapOptionsWith(settings) {
+      var detect = (settings && settings.detect) || 'truthy';
+
+      if (detectModes.indexOf(detect) === -1) {
+        throw new TypeError(namespace + ': Unknown detect setting "' +
+          String(detect) + '". Use one of: ' +
+          detectModes.join(', ') + '.');
+      }
+
+      /**
+       * The user can pass in the formal parameters, or a named
+       * parameters. Either way, we need to initialize the
+       * variables to the expected values.
+       *
+       * Parameters can have types, defaults, and be marked
+       * optional: 'name:string, count:number=0, cb?:function'.
+       * Rest parameters ('...sources') collect the remaining
+       * arguments, dotted names ('server.host') build nested
+       * objects, and aliases ('timeout|ms') are read from
+       * hashes.
+       *
+       * @param {String} optionNames Parameter signature.
+       *
+       * @return {object} New configuration object.
+       */
+      return function mapOptions(optionNames) {
+        var config = {}, // New config object
+
+          signature = parseSignature(optionNames),
+
+          // Unsafe names keep their position, but get no value.
+          params = signature.params.map(function (param) {
+            return {
+              param: param,
+              keys: isSafePath(param.name) ?
+                [param.name].concat(param.aliases.filter(isSafePath))
+                : []
+            };
+          }),
+
+          // Turn arguments into array, starting at index 1
+          args = [].slice.call(arguments, 1),
+          hashIndex = findHash(detect, params, args),
+          hash = Object(args[hashIndex]),
+          positional = (hashIndex === -1) ? args :
+            args.slice(0, hashIndex),
+
+          // Mapped values, by full parameter name.
+          values = Object.create(null);
+
+        params.forEach(function (entry, index) {
+          var name = entry.keys[0],
+            found;
+
+          if (name === undefined) {
+            return;
+          }
+
+          // Leading positional arguments...
+          if (index < positional.length) {
+            values[name] = entry.param.rest ?
+              positional.slice(index)
+              : positional[index];
+            return;
+          }
+
+          if (hashIndex === -1) {
+            values[name] = undefined;
+            return;
+          }
+
+          // Then the named parameters, by name or alias.
+          entry.keys.some(function (key) {
+            found = lookup(hash, key);
+            return found.found;
+          });
+
+          // The original behavior only copies truthy values.
+          // Typed, optional and defaulted params go by key
+          // presence, so an explicit 0 or '' is kept.
+          if (detect === 'truthy' && !isNamed(args[hashIndex]) &&
+              !(entry.param.type || entry.param.optional ||
+                entry.param.hasDefault || entry.param.rest)) {
+            if (found.value) {
+              values[name] = found.value;
+            }
+          } else {
+            values[name] = found.value;
+          }
+        });
+
+        applySignature(signature, values);
+
+        params.forEach(function (entry) {
+          var name = entry.keys[0];
+          if (name !== undefined && name in values) {
+            setPath(config, entry.param.path, values[name]);
+          }
+        });
+
+        return config;
+      };
+    },
+
+    mapOptions = mapOptionsWith(),
+
+    /**
+     * Map the arguments of o() or o.factory(). Only the
+     * original options can be passed by position. Newer
+     * settings are only read from a named parameters hash, so
+     * a prototype with a `name` or `merge` key is never
+     * mistaken for one.
+     *
+     * @param  {String} optionNames  positional or named options
+     * @param  {String} settingNames named only settings
+     * @param  {Array} args          arguments to map
+     * @return {Object}              config object
+     */
+    mapSettings = function mapSettings(optionNames, settingNames, args) {
+      var hash = args[0],
+        isHash = isNamed(hash) || (!!hash &&
+          parseSignature(optionNames).params.some(function (param) {
+            return hash[param.name];
+          }));
+
+      return isHash ?
+        mapOptions(optionNames + ', ' + settingNames, hash)
+        : mapOptions.apply(null, [optionNames].concat(args));
+    },
+
+    /**
+     * Wrap a function so it can be called with positional
+     * arguments or a named parameters hash. The wrapper keeps
+     * `this`, and the wrapped function's length and name.
+     *
+     * @param  {String} signature mapOptions() signature
+     * @param  {Function} fn      function to wrap
+     * @param  {Object} [settings]
+     * @param  {Boolean} [settings.spread] pass the values as
+     *   arguments, in signature order, instead of one config
+     *   object. Rest parameters are spread, too.
+     * @param  {String} [settings.detect] hash detection, as
+     *   for o.mapOptionsWith()
+     * @return {Function}         wrapped function
+     */
+    polymorphic = function polymorphic(signature, fn, settings) {
+      var map = mapOptionsWith(settings),
+        spread = !!(settings && settings.spread),
+        parsed,
+        wrapper;
+
+      if (typeof fn !== 'function') {
+        throw new TypeError(namespace +
+          ': o.polymorphic() needs a function to wrap.');
+      }
+
+      // Name the function in errors, unless the signature does.
+      parsed = parseSignature(signature);
+      if (!parsed.hasName && fn.name) {
+        signature = fn.name + '(' + signature + ')';
+        parsed = parseSignature(signature);
+      }
+
+      wrapper = function () {
+        var config = map.apply(null,
+            [signature].concat([].slice.call(arguments)));
+
+        return spread ?
+          fn.apply(this, parsed.params.reduce(function (list, param) {
+            var value = isSafePath(param.name) ?
+                lookup(config, param.name).value
+                : undefined;
+            // Rest parameters spread out, too.
+            return list.concat(param.rest ? value : [value]);
+          }, []))
+          : fn.call(this, config);
+      };
+
+      Object.defineProperty(wrapper, 'length', { value: fn.length });
+      Object.defineProperty(wrapper, 'name', { value: fn.name });
+
+      return wrapper;
+    },
+
+    // 'dry-run' to 'dryRun'
+    camelCase = function camelCase(name) {
+      return name.replace(/-+([\w$])/g, function (match, letter) {
+        return letter.toUpperCase();
+      });
+    },
+
+    // 'dryRun' to 'dry-run'
+    kebabCase = function kebabCase(name) {
+      return name.replace(/([a-z0-9])([A-Z])/g, function (match,
+          before, letter) {
+        return before + '-' + letter.toLowerCase();
+      });
+    },
+
+    // Whether parseArgs() fills param from positional arguments.
+    isPositional = function isPositional(parsed, param) {
+      return param.type !== 'boolean' && (param.rest ||
+        (!param.optional && !param.hasDefault) ||
+        !parsed.params.some(function (other) {
+          return other.rest;
+        }));
+    },
+
+    /**
+     * Parse command line arguments with a mapOptions()
+     * signature. Flags can be written as --name, --name=value,
+     * --name value and --no-name, using any parameter name or
+     * alias, in camelCase or kebab-case. Other arguments fill
+     * the non-boolean parameters that no flag set, in order,
+     * and anything after -- is positional. When there's a rest
+     * parameter, optional and defaulted parameters are only set
+     * by flags. Values are coerced and defaults applied, just
+     * like o.mapOptions().
+     *
+     * @param  {String} signature mapOptions() signature
+     * @param  {Array} argv       arguments, such as
+     *                            process.argv.slice(2)
+     * @return {Object}           config object
+     */
+    parseArgs = function parseArgs(signature, argv) {
+      var parsed = parseSignature(signature),
+        hash = {},
+        positional = [],
+        flagsDone = false,
+        tokens,
+        readToken,
+        fail = function fail(problem) {
+          throw new TypeError(namespace + ': ' + parsed.name + '() ' +
+            problem + '.');
+        },
+        findParam = function findParam(flag) {
+          var name = camelCase(flag);
+          return parsed.params.filter(function (param) {
+            return [param.name].concat(param.aliases)
+              .some(function (key) {
+                return key === flag || key === name;
+              });
+          })[0];
+        },
+        setValue = function setValue(param, value) {
+          if (param.rest) {
+            hash[param.name] = (hash[param.name] || []).concat(value);
+          } else {
+            hash[param.name] = value;
+          }
+        };
+
+      if (!Array.isArray(argv)) {
+        throw new TypeError(namespace +
+          ': o.parseArgs() needs an array of arguments.');
+      }
+
+      readToken = function readToken(token) {
+        var match = /^--(no-)?([^=]+?)(?:=([\s\S]*))?$/.exec(token),
+          flag = match && match[2],
+          param;
+
+        if (!flagsDone && token === '--') {
+          flagsDone = true;
+          return;
+        }
+        if (flagsDone || !match) {
+          positional.push(token);
+          return;
+        }
+
+        if (match[1]) {
+          // --no-name, unless there's a param called no-name.
+          flag = 'no-' + flag;
+          param = findParam(flag);
+          if (!param) {
+            param = findParam(match[2]);
+            if (param && isSafePath(param.name) &&
+                match[3] === undefined) {
+              setValue(param, false);
+              return;
+            }
+            param = undefined;
+          }
+        } else {
+          param = findParam(flag);
+        }
+
+        if (!param || !isSafePath(param.name)) {
+          fail('unknown option "' + token + '"');
+        }
+
+        if (match[3] !== undefined) {
+          setValue(param, match[3]);
+        } else if (param.type !== 'boolean' && tokens.length &&
+            !/^--/.test(tokens[0])) {
+          // Other flags take the next argument as their value.
+          setValue(param, tokens.shift());
+        } else if (param.type && param.type !== 'boolean') {
+          fail('option "--' + flag + '" needs a value');
+        } else {
+          setValue(param, true);
+        }
+      };
+
+      tokens = argv.map(String);
+
+      while (tokens.length) {
+        readToken(tokens.shift());
+      }
+
+      // Positional arguments fill the params flags didn't set.
+      // Booleans are only set by flags, and so are optional
+      // params when a rest param takes the other arguments.
+      parsed.params.forEach(function (param) {
+        if (!positional.length || !isPositional(parsed, param) ||
+            !isSafePath(param.name) ||
+            (!param.rest && param.name in hash)) {
+          return;
+        }
+        setValue(param, param.rest ?
+          positional.splice(0, positional.length)
+          : positional.shift());
+      });
+
+      if (positional.length) {
+        fail('got too many arguments: "' +
+          positional.join('", "') + '"');
+      }
+
+      return mapOptions(signature, named(hash));
+    },
+
+    /**
+     * Usage and help text for a parseArgs() signature.
+     *
+     * @param  {String} signature mapOptions() signature
+     * @return {String}           usage text
+     */
+    usage = function usage(signature) {
+      var parsed = parseSignature(signature),
+        describe = function describe(param) {
+          var notes = [];
+          if (param.rest) {
+            notes.push('list of ' + (param.type || 'values'));
+          }
+          if (param.hasDefault) {
+            notes.push('default: ' + param.defaultText);
+          } else if (param.type && !param.optional && !param.rest) {
+            notes.push('required');
+          }
+          return notes.join(', ');
+        },
+        rows = parsed.params.map(function (param) {
+          var value = (param.type !== 'boolean') ?
+              ' <' + (param.type || 'value') + '>'
+              : '';
+          return [
+            [param.name].concat(param.aliases).map(function (key) {
+              return '--' + kebabCase(key);
+            }).join(', ') + value,
+            describe(param)
+          ];
+        }),
+        width = rows.reduce(function (max, row) {
+          return Math.max(max, row[0].length);
+        }, 0);
+
+      return ['Usage: ' + [parsed.hasName ? parsed.name : 'command']
+        .concat(parsed.params.filter(function (param) {
+          return isPositional(parsed, param);
+        }).map(function (param) {
+          return param.rest ? '[...' + param.name + ']' :
+            (param.type && !param.optional && !param.hasDefault) ?
+              '<' + param.name + '>'
+              : '[' + param.name + ']';
+        }), rows.length ? ['[options]'] : []).join(' ')]
+        .concat(rows.length ? ['', 'Options:'] : [])
+        .concat(rows.map(function (row) {
+          var line = '  ' + row[0] +
+            new Array(width - row[0].length + 1).join(' ') +
+            '  ' + row[1];
+          return line.replace(/\s+$/, '');
+        }))
+        .join('\n');
+    };
+
+  /**
+   * Create a new, blessed object with public properties,
+   * shared properties (on prototype), and support for
+   * privacy (via initFunction).
+   *
+   * @param {object} sharedProperties Prototype
+   * @param {object} instanceProperties Instance safe
+   * @param {function} initFunction Init and privacy
+   *
+   * These settings are only read from a named parameters
+   * hash:
+   *
+   * beforeInit - runs before init
+   * afterInit  - runs after init
+   * evented    - add event emitter methods?
+   * copyValues - assign instance property values instead of
+   *              copying descriptors?
+   * freeze     - freeze the object after init? true,
+   *              'shallow' or 'deep'
+   *
+   * @return {object}
+   */
+  o = function o(sharedProperties, instanceProperties,
+      initFunction) {
+    var optionNames = 'sharedProperties, instanceProperties,' +
+        ' initFunction',
+      settingNames = 'beforeInit, afterInit, evented, copyValues,' +
+        ' freeze',
+      config,
+      proto,
+      obj;
+
+    config = mapSettings(optionNames, settingNames,
+      [sharedProperties, instanceProperties, initFunction]);
+    config.initFunction = config.initFunction || defaultInit;
+    checkFreezeMode(config.freeze);
+    proto = config.sharedProperties || {};
+
+    if (config.evented) {
+      extend(proto, evented);
+    }
+
+    obj = instantiate(proto, config.instanceProperties,
+      config.copyValues ? extendValues : extend);
+
+    rebuilders.set(obj, function rebuild(changes, previous) {
+      return o(named(extend({}, config, {
+        sharedProperties: proto,
+        instanceProperties: extend(snapshot({}, previous), changes)
+      })));
+    });
+
+    return runInit(obj, config.initFunction, undefined, config);
+  };
+
+  bless(o);
+
+  extend(o, {
+    /**
+     * Returns an object factory that stamps out objects
+     * using a specified shared prototype and init.
+     * 
+     * @param  {Object} sharedProperties  prototype
+     * @param  {Object} defaultProperties instance properties
+     * @param  {Function} instanceInit    instance level init
+     * @param  {Function} factoryInit     factory level init
+     * @param  {Boolean} ignoreOptions    ignore instance options?        
+     * @return {Function}                 factory function
+     *
+     * These settings are only read from a named parameters
+     * hash:
+     *
+     * async          - return promises?
+     * schema         - option rules by key
+     * unknownOptions - 'drop' or 'reject'
+     * name           - name used in errors
+     * beforeInit     - runs before instanceInit
+     * afterInit      - runs after instanceInit
+     * evented        - add event emitter methods?
+     * copyValues     - assign instance values instead of
+     *                  descriptors?
+     * merge          - how options merge with nested defaults
+     * acceptOptions  - options to copy onto instances
+     * freeze         - freeze instances after init? true,
+     *                  'shallow' or 'deep'
+     * traits         - traits from o.trait()
+     * advice         - advice for shared methods, by name
+     */
+    factory: function factory(sharedProperties, defaultProperties,
+        instanceInit, factoryInit, ignoreOptions) {
+      var config,
+        copy,
+        merge,
+        accept,
+        traits,
+        initObj = instantiate({}),
+        ready,
+        instanceFactory,
+
+        // factoryInit can be used to initialize shared private state.
+        initFactory = function initFactory() {
+          var result;
+
+          if (typeof config.factoryInit === 'function') {
+            result = config.factoryInit.call(initObj);
+          }
+
+          if (config.async) {
+            return Promise.resolve(result).then(function () {
+              shareInit();
+              checkRequirements(config.sharedProperties, traits);
+              applyAdvice(config.sharedProperties, config.advice);
+            });
+          }
+
+          shareInit();
+          checkRequirements(config.sharedProperties, traits);
+          applyAdvice(config.sharedProperties, config.advice);
+        },
+
+        // Copy what factoryInit shared onto the prototype,
+        // keeping lifecycle methods sharedProperties defines
+        // or inherits.
+        shareInit = function shareInit() {
+          var shared = config.sharedProperties,
+            source = extend({}, initObj),
+            methods = lifecycleMethods();
+
+          Object.keys(methods).forEach(function (name) {
+            if (name in shared && source[name] === methods[name]) {
+              delete source[name];
+            }
+          });
+
+          extend(shared, source);
+        },
+
+        // Validate options and build the instance properties.
+        // When rebuilding for .with(), generated defaults keep
+        // the previous instance's values.
+        prepare = function prepare(options, previous) {
+          var defaultProperties = clone(config.defaultProperties || {}),
+            instanceOptions;
+
+          if (config.schema) {
+            options = applySchema(config, options);
+          }
+
+          // The options that end up on the instance.
+          instanceOptions = accept ?
+            acceptOptions(accept, options)
+            : options;
+
+          // Deep freezing shouldn't freeze the caller's objects.
+          if (config.freeze === 'deep') {
+            instanceOptions = clone(instanceOptions);
+          }
+
+          if (previous) {
+            ownKeys(defaultProperties, true).forEach(function (key) {
+              if (generators.has(defaultProperties[key]) &&
+                  Object.prototype.hasOwnProperty.call(previous, key)) {
+                defaultProperties[key] = previous[key];
+              }
+            });
+          }
+
+          // Options that will replace a default don't need it
+          // generated.
+          resolveGenerators(defaultProperties, options,
+            (config.ignoreOptions || merge) ? undefined : instanceOptions);
+
+          if (config.ignoreOptions) {
+            return {
+              options: options,
+              properties: defaultProperties
+            };
+          }
+
+          return {
+            options: options,
+            properties: merge ?
+              mergeInto(defaultProperties, instanceOptions, merge, '',
+                (merge.strategy === 'deep') ? 'deep' : 'replace')
+              // Options are values, so a frozen options object
+              // doesn't make readonly instance properties.
+              : extendValues(copy({}, defaultProperties),
+                instanceOptions)
+          };
+        },
+
+        // Make an instance from its properties and options.
+        build = function build(properties, options) {
+          var obj = track(instantiate(config.sharedProperties,
+              properties, copy), instanceFactory);
+
+          rebuilders.set(obj, function rebuild(changes, previous) {
+            var prepared = prepare(extend({}, options, changes),
+              previous);
+
+            return build(prepared.properties, prepared.options);
+          });
+
+          return runInit(obj, config.instanceInit, options, config);
+        },
+
+        create = function create(options) {
+          var prepared = prepare(options);
+
+          return build(prepared.properties, prepared.options);
+        },
+
+        // Reset a used instance and run instanceInit on it again.
+        recycle = function recycle(obj, options) {
+          var prepared = prepare(options);
+
+          Object.keys(obj).forEach(function (key) {
+            if (key !== 'proto') {
+              delete obj[key];
+            }
+          });
+          copy(obj, prepared.properties);
+
+          teardowns['delete'](obj);
+          eventListeners['delete'](obj);
+
+          return runInit(obj, config.instanceInit, prepared.options,
+            config);
+        },
+
+        // Run an async factoryInit once, on first use. If it
+        // fails, the next call tries again.
+        whenReady = function whenReady() {
+          ready = ready || Promise.resolve().then(initFactory)
+            .then(null, function (err) {
+              ready = null;
+              throw err;
+            });
+          return ready;
+        },
+
+        // Tag async failures with the factory that caused them.
+        identify = function identify(err) {
+          if (!(err instanceof Object)) {
+            err = new Error(namespace + ': Factory rejected with ' +
+              String(err));
+          }
+          err.factory = instanceFactory;
+          throw err;
+        };
+
+      config = mapSettings(factoryOptionNames, factorySettingNames,
+        [sharedProperties, defaultProperties, instanceInit,
+          factoryInit, ignoreOptions]);
+      checkFreezeMode(config.freeze);
+      copy = config.copyValues ? extendValues : extend;
+      merge = config.merge && mergeSettings(config.merge);
+      accept = config.acceptOptions && acceptRules(config.acceptOptions);
+      config.instanceInit = config.instanceInit || defaultInit;
+      config.sharedProperties = config.sharedProperties || {};
+
+      if (config.evented) {
+        extend(config.sharedProperties, evented);
+      }
+
+      traits = [].concat(config.traits || []);
+      applyTraits(config.sharedProperties, traits);
+
+      // Schema defaults fill in for missing defaultProperties.
+      if (config.schema) {
+        config.defaultProperties = extend(schemaDefaults(config.schema),
+          config.defaultProperties);
+      }
+
+      // Async factories wait for the first instance.
+      if (!config.async) {
+        initFactory();
+      }
+
+      instanceFactory = bless(function (options) {
+        var result;
+
+        if (!config.async) {
+          result = create(options);
+          return isThenable(result) ? result : track(result,
+            instanceFactory);
+        }
+
+        return whenReady().then(function () {
+          return create(options);
+        }).then(function (instance) {
+          return track(instance, instanceFactory);
+        }, identify);
+      });
+
+      /**
+       * Report the factory configuration without creating
+       * an instance.
+       *
+       * @return {Object} factory configuration
+       */
+      instanceFactory.describe = function describe() {
+        return {
+          sharedProperties: config.sharedProperties,
+          defaultProperties: clone(config.defaultProperties || {}),
+          instanceInit: config.instanceInit,
+          factoryInit: config.factoryInit,
+          ignoreOptions: !!config.ignoreOptions,
+          async: !!config.async,
+          schema: config.schema,
+          unknownOptions: config.unknownOptions || 'drop',
+          name: config.name
+        };
+      };
+
+      /**
+       * Returns a child factory. Its prototype delegates to
+       * this factory's prototype, its defaults layer over
+       * these defaults, and its instanceInit runs after this
+       * factory's instanceInit.
+       *
+       * Takes the same options as o.factory().
+       *
+       * @return {Function} child factory function
+       */
+      instanceFactory.extend = function extendFactory() {
+        var childConfig = mapSettings(factoryOptionNames,
+            factorySettingNames, [].slice.call(arguments)),
+          child,
+          parentInit = config.instanceInit,
+          childInit = childConfig.instanceInit,
+
+          // Async parents finish their own factoryInit first.
+          factoryInits = config.async ? [whenReady] : [];
+
+        if (typeof childConfig.factoryInit === 'function') {
+          factoryInits.push(childConfig.factoryInit);
+        }
+
+        child = o.factory(named({
+          sharedProperties: extend(
+            Object.create(config.sharedProperties),
+            childConfig.sharedProperties),
+          defaultProperties: extend({}, config.defaultProperties,
+            childConfig.defaultProperties),
+          instanceInit: chainInits((typeof childInit === 'function') ?
+            [parentInit, childInit]
+            : [parentInit]),
+          factoryInit: chainInits(factoryInits, true),
+          ignoreOptions: (childConfig.ignoreOptions === undefined) ?
+            config.ignoreOptions
+            : childConfig.ignoreOptions,
+          async: (childConfig.async === undefined) ?
+            config.async
+            : childConfig.async,
+          schema: (config.schema || childConfig.schema) &&
+            extend({}, config.schema, childConfig.schema),
+          unknownOptions: childConfig.unknownOptions ||
+            config.unknownOptions,
+          name: childConfig.name,
+          beforeInit: combineHooks([config.beforeInit,
+            childConfig.beforeInit]),
+          afterInit: combineHooks([config.afterInit,
+            childConfig.afterInit]),
+          evented: config.evented || childConfig.evented,
+          copyValues: (childConfig.copyValues === undefined) ?
+            config.copyValues
+            : childConfig.copyValues,
+          merge: childConfig.merge || config.merge,
+          acceptOptions: childConfig.acceptOptions || config.acceptOptions,
+          freeze: (childConfig.freeze === undefined) ?
+            config.freeze
+            : childConfig.freeze,
+          traits: childConfig.traits,
+          advice: childConfig.advice
+        }));
+
+        factoryLineage.set(child, [instanceFactory]);
+
+        return child;
+      };
+
+      /**
+       * Returns a pool of reusable instances. Released
+       * instances are destroyed, then reset to the defaults
+       * and initialized again when they are next acquired.
+       *
+       * @param  {Object} [settings]      pool settings
+       * @param  {Number} [settings.size] max idle instances
+       * @return {Object}                 pool
+       */
+      instanceFactory.pool = function pool(settings) {
+        var size = (settings && settings.size >= 0) ?
+            settings.size
+            : 10,
+          idle = [],
+          acquired = new WeakSet(),
+          stats = {
+            hits: 0,
+            misses: 0,
+            inUse: 0,
+            highWaterMark: 0
+          },
+          checkOut = function checkOut(instance) {
+            acquired.add(instance);
+            stats.inUse += 1;
+            stats.highWaterMark = Math.max(stats.highWaterMark,
+              stats.inUse);
+            return instance;
+          };
+
+        // Frozen instances can't be reset.
+        if (config.freeze) {
+          throw new TypeError(namespace + ': Factories with the ' +
+            'freeze option can\'t be pooled.');
+        }
+
+        return {
+          /**
+           * Get an instance, reusing an idle one if possible.
+           *
+           * @param  {Object} options instance options
+           * @return {Object}         instance
+           */
+          acquire: function acquire(options) {
+            var obj;
+
+            if (!idle.length) {
+              stats.misses += 1;
+              return config.async ?
+                instanceFactory(options).then(checkOut)
+                : checkOut(instanceFactory(options));
+            }
+
+            stats.hits += 1;
+            obj = idle.pop();
+
+            return config.async ?
+              Promise.resolve().then(function () {
+                return recycle(obj, options);
+              }).then(checkOut, identify)
+              : checkOut(recycle(obj, options));
+          },
+
+          /**
+           * Return an instance to the pool.
+           *
+           * @param  {Object} obj instance from acquire()
+           * @return {Object}     this pool
+           */
+          release: function release(obj) {
+            if (!acquired.has(Object(obj))) {
+              throw new TypeError(namespace + ': Only instances ' +
+                'acquired from this pool can be released.');
+            }
+
+            acquired['delete'](obj);
+            stats.inUse -= 1;
+
+            // Run the teardowns, even if the prototype has its
+            // own destroy method.
+            destroy.call(obj);
+            if (idle.length < size) {
+              idle.push(obj);
+            }
+
+            return this;
+          },
+
+          /**
+           * Report pool statistics.
+           *
+           * @return {Object} hits, misses, inUse, available
+           *   and highWaterMark
+           */
+          stats: function poolStats() {
+            return extend({ available: idle.length }, stats);
+          }
+        };
+      };
+
+      /**
+       * Was obj created by this factory, or by a factory
+       * composed or derived from it?
+       *
+       * @param  {Object}  obj object to check
+       * @return {Boolean}
+       */
+      instanceFactory.isInstance = function isInstance(obj) {
+        var origin = instanceFactories.get(Object(obj));
+        return !!origin && descendsFrom(origin, instanceFactory);
+      };
+
+      factoryConfigs.set(instanceFactory, config);
+
+      return instanceFactory;
+    },
+
+    /**
+     * Returns a factory that combines the given factories.
+     * Shared and default properties are merged from left
+     * to right, every factoryInit runs once, and every
+     * instanceInit runs in order for each new instance.
+     *
+     * @param  {...Function} factories factories to combine
+     * @return {Function}               factory function
+     */
+    compose: function compose() {
+      var factories = [].slice.call(arguments),
+        sharedProperties = {},
+        defaultProperties = {},
+        instanceInits = [],
+        factoryInits = [],
+        ignoreOptions = false,
+        async = false,
+        schema,
+        unknownOptions,
+        beforeInits = [],
+        afterInits = [],
+        copyValues = false,
+        merge,
+        acceptedOptions = {},
+        freezeMode,
+        composed;
+
+      factories.forEach(function (factory) {
+        var config = factoryConfigs.get(factory);
+
+        if (!config) {
+          throw new TypeError('o.compose() only accepts factories ' +
+            'created by o.factory().');
+        }
+
+        extend(sharedProperties, config.sharedProperties);
+        extend(defaultProperties, config.defaultProperties);
+
+        if (typeof config.instanceInit === 'function') {
+          instanceInits.push(config.instanceInit);
+        }
+        if (typeof config.factoryInit === 'function') {
+          factoryInits.push(config.factoryInit);
+        }
+
+        // If any factory ignores options, so does the result.
+        ignoreOptions = ignoreOptions || !!config.ignoreOptions;
+
+        // If any factory is async, so is the result.
+        async = async || !!config.async;
+
+        if (config.schema) {
+          schema = extend(schema || {}, config.schema);
+        }
+        copyValues = copyValues || !!config.copyValues;
+        merge = config.merge || merge;
+        freezeMode = (config.freeze === 'deep') ? 'deep' :
+          freezeMode || config.freeze;
+
+        // Accept every option, unless every factory limits them.
+        acceptedOptions = acceptedOptions && config.acceptOptions &&
+          extend(acceptedOptions, acceptRules(config.acceptOptions));
+        beforeInits.push(config.beforeInit);
+        afterInits.push(config.afterInit);
+
+        if (config.unknownOptions === 'reject') {
+          unknownOptions = 'reject';
+        }
+      });
+
+      composed = o.factory(named({
+        sharedProperties: sharedProperties,
+        defaultProperties: defaultProperties,
+        instanceInit: chainInits(instanceInits),
+        factoryInit: chainInits(factoryInits, true),
+        ignoreOptions: ignoreOptions,
+        async: async,
+        schema: schema,
+        unknownOptions: unknownOptions,
+        beforeInit: combineHooks(beforeInits),
+        afterInit: combineHooks(afterInits),
+        copyValues: copyValues,
+        merge: merge,
+        acceptOptions: acceptedOptions,
+        freeze: freezeMode
+      }));
+
+      factoryLineage.set(composed, factories);
+
+      return composed;
+    },
+
+    /**
+     * Returns the factory that created obj, if any.
+     *
+     * @param  {Object} obj object to check
+     * @return {Function}   factory function or undefined
+     */
+    factoryOf: function factoryOf(obj) {
+      return instanceFactories.get(Object(obj));
+    },
+    addPlugins: addPlugins,
+    advise: advise,
+    callNext: callNext,
+    generate: generate,
+    trait: trait,
+    setUnsafeKeyPolicy: setUnsafeKeyPolicy,
+    evented: evented,
+    extend: extend,
+    extendWith: extendWith,
+    mapOptions: mapOptions,
+    mapOptionsWith: mapOptionsWith,
+    named: named,
+    polymorphic: polymorphic,
+    parseArgs: parseArgs,
+    getConfig: mapOptions
+  });
+
+  /**
+   * Returns an async object factory. Same as o.factory()
+   * with the async option set: instances are delivered by
+   * promise, and factoryInit may return a promise.
+   *
+   * @return {Function} async factory function
+   */
+  o.factory.async = function asyncFactory() {
+    var config = mapSettings(factoryOptionNames, factorySettingNames,
+      [].slice.call(arguments));
+
+    config.async = true;
+
+    return o.factory(named(config));
+  };
+
+  o.parseArgs.usage = usage;
+
+  api = o;
+
+  exports[namespace] = api;
+}((typeof exports === 'undefined') ?
+    this
+    : exports));
@@ -1,5 +1,7 @@
 /*global module, test, ok, equal, odotjs, deepEqual,
-stop, setTimeout, start */
+stop, setTimeout, start, raises,
+strictEqual, Map, Set, Uint8Array, WeakMap,
+Promise, notStrictEqual, Symbol, console */
 (function (o) {
   'use strict';
 
@@ -395,4 +397,2090 @@ stop, setTimeout, start */
         '.mapOptions() should map parameters to names, ' +
         'and return the resulting named parameters hash.');   
   });
-}(odotjs));
\ No newline at end of file
+}(odotjs));
+(function (o) {
+  'use strict';
+  var persistable = o.factory({
+      sharedProperties: {
+        save: function save() {
+          return 'saved ' + this.id;
+        }
+      },
+      defaultProperties: { id: 0 },
+      instanceInit: function () {
+        this.inits = ['persistable'];
+        return this;
+      },
+      factoryInit: function () {
+        var saves = 0;
+        this.share('countSave', function countSave() {
+          return (saves += 1);
+        });
+        return this;
+      }
+    }),
+    validated = o.factory({
+      sharedProperties: {
+        isValid: function isValid() {
+          return this.id > 0;
+        }
+      },
+      defaultProperties: { strict: true },
+      instanceInit: function () {
+        this.inits.push('validated');
+        return this;
+      }
+    }),
+    model = o.compose(persistable, validated);
+
+  test('o.compose()', function () {
+    var a = model({ id: 3 }),
+      b = model();
+
+    equal(typeof model, 'function',
+      'o.compose() should return a factory.');
+
+    equal(a.save(), 'saved 3',
+      'Composed prototype should include the first factory\'s ' +
+      'shared properties.');
+
+    ok(a.isValid() && !b.isValid(),
+      'Composed prototype should include the second factory\'s ' +
+      'shared properties.');
+
+    ok(!a.hasOwnProperty('save'),
+      'Shared properties should NOT be on the instance.');
+
+    equal(b.id, 0,
+      'Composed defaults should include the first factory\'s ' +
+      'defaults.');
+
+    equal(b.strict, true,
+      'Composed defaults should include the second factory\'s ' +
+      'defaults.');
+
+    deepEqual(a.inits, ['persistable', 'validated'],
+      'Every instanceInit should run in order.');
+
+    a.countSave();
+    equal(b.countSave(), 2,
+      'factoryInit should run once, sharing private state ' +
+      'between instances.');
+
+    raises(function () {
+      o.compose(function () {});
+    }, 'o.compose() should reject functions that are not ' +
+      'factories.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+  test('defaultProperties are deep copied per instance', function () {
+    var cyclic = { name: 'cyclic' },
+      format = function format() {},
+      factory,
+      a,
+      b;
+
+    cyclic.self = cyclic;
+
+    factory = o.factory({
+      defaultProperties: {
+        created: new Date(0),
+        pattern: /ab+c/gi,
+        lookup: new Map([['a', { n: 1 }]]),
+        tags: new Set(['x']),
+        bytes: new Uint8Array([1, 2, 3]),
+        format: format,
+        missing: undefined,
+        limit: Infinity,
+        cyclic: cyclic,
+        list: [{ n: 1 }]
+      }
+    });
+    a = factory();
+    b = factory();
+
+    ok(a.created instanceof Date && a.created.getTime() === 0,
+      'Dates should stay Dates.');
+    ok(a.created !== b.created,
+      'Dates should not be shared between instances.');
+
+    ok(a.pattern instanceof RegExp && a.pattern.test('xabbc'),
+      'RegExps should stay RegExps.');
+    equal(a.pattern.flags, 'gi',
+      'RegExp flags should be preserved.');
+
+    ok(a.lookup instanceof Map && a.lookup.get('a').n === 1,
+      'Maps should be copied with their entries.');
+    ok(a.lookup.get('a') !== b.lookup.get('a'),
+      'Map values should be deep copied.');
+
+    ok(a.tags instanceof Set && a.tags.has('x'),
+      'Sets should be copied with their values.');
+
+    ok(a.bytes instanceof Uint8Array && a.bytes[2] === 3,
+      'Typed arrays should be copied.');
+    a.bytes[0] = 9;
+    equal(b.bytes[0], 1,
+      'Typed arrays should not share a buffer.');
+
+    strictEqual(a.format, format,
+      'Functions should be copied by reference.');
+
+    ok(a.hasOwnProperty('missing') && a.missing === undefined,
+      'undefined values should be kept.');
+    strictEqual(a.limit, Infinity,
+      'Infinity should be kept.');
+
+    strictEqual(a.cyclic.self, a.cyclic,
+      'Cycles should be preserved.');
+    ok(a.cyclic !== cyclic,
+      'Cyclic objects should still be copied.');
+
+    a.list[0].n = 2;
+    equal(b.list[0].n, 1,
+      'Nested objects should not be shared between instances.');
+  });
+
+  test('defaultProperties that cannot be cloned', function () {
+    var factory = o.factory({
+      defaultProperties: { cache: new WeakMap() }
+    });
+
+    raises(function () {
+      factory();
+    }, 'Uncloneable defaults should throw a TypeError.');
+
+    raises(function () {
+      o.factory({ defaultProperties: { done: Promise.resolve() } })();
+    }, /Cannot clone Promise/,
+      'Built-in objects with internal state should throw.');
+  });
+
+  test('Primitive wrappers in defaultProperties', function () {
+    var count = Object(5),
+      factory = o.factory({ defaultProperties: { count: count } }),
+      copy = factory().count;
+
+    ok(copy instanceof Number && copy.valueOf() === 5 && copy !== count,
+      'Number objects should be copied with their value.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+  test('factory.describe()', function () {
+    var shared = { greet: function greet() {} },
+      instanceInit = function () { return this; },
+      factoryInit = function () { return this; },
+      factory = o.factory({
+        sharedProperties: shared,
+        defaultProperties: { attrs: { id: 1 } },
+        instanceInit: instanceInit,
+        factoryInit: factoryInit
+      }),
+      description = factory.describe();
+
+    strictEqual(description.sharedProperties, shared,
+      '.describe() should return the shared prototype.');
+
+    deepEqual(description.defaultProperties, { attrs: { id: 1 } },
+      '.describe() should return the default properties.');
+
+    description.defaultProperties.attrs.id = 2;
+    equal(factory().attrs.id, 1,
+      '.describe() should return a copy of the defaults.');
+
+    strictEqual(description.instanceInit, instanceInit,
+      '.describe() should return the instanceInit.');
+
+    strictEqual(description.factoryInit, factoryInit,
+      '.describe() should return the factoryInit.');
+
+    strictEqual(description.ignoreOptions, false,
+      '.describe() should report the ignoreOptions setting.');
+
+    strictEqual(o.factory({ ignoreOptions: true })
+      .describe().ignoreOptions, true,
+      '.describe() should report ignoreOptions: true.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+  test('factory.extend()', function () {
+    var animal = o.factory({
+        sharedProperties: {
+          speak: function speak() {
+            return this.name + ' makes a sound.';
+          }
+        },
+        defaultProperties: { name: 'animal', legs: 4 },
+        instanceInit: function () {
+          this.inits = ['animal'];
+          return this;
+        }
+      }),
+      bird = animal.extend({
+        sharedProperties: {
+          fly: function fly() {
+            return this.name + ' flies.';
+          }
+        },
+        defaultProperties: { legs: 2 },
+        instanceInit: function () {
+          this.inits.push('bird');
+          return this;
+        }
+      }),
+      tweety = bird({ name: 'Tweety' }),
+      rex = animal({ name: 'Rex' });
+
+    equal(tweety.fly(), 'Tweety flies.',
+      'Child instances should get child shared properties.');
+
+    equal(tweety.speak(), 'Tweety makes a sound.',
+      'Child instances should get parent shared properties.');
+
+    ok(!rex.fly,
+      'Parent instances should NOT get child shared properties.');
+
+    ok(animal.describe().sharedProperties.isPrototypeOf(tweety),
+      'The child prototype should delegate to the parent ' +
+      'prototype.');
+
+    equal(bird().name, 'animal',
+      'Child defaults should include parent defaults.');
+
+    equal(bird().legs, 2,
+      'Child defaults should override parent defaults.');
+
+    deepEqual(tweety.inits, ['animal', 'bird'],
+      'The child init should run after the parent init.');
+
+    rex.share('eat', function eat() {
+      return this.name + ' eats.';
+    });
+    equal(tweety.eat(), 'Tweety eats.',
+      'Properties shared on the parent prototype should be ' +
+      'seen by child instances.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+  test('o.factory.async()', function () {
+    var factoryInits = 0,
+      factory = o.factory.async({
+        sharedProperties: {
+          describe: function describe() {
+            return this.name + ' from ' + this.getSource();
+          }
+        },
+        defaultProperties: { name: 'record' },
+        factoryInit: function () {
+          var initObj = this;
+          factoryInits += 1;
+          return Promise.resolve('store').then(function (source) {
+            initObj.share('getSource', function getSource() {
+              return source;
+            });
+          });
+        },
+        instanceInit: function (options) {
+          var obj = this;
+          return Promise.resolve(options.id).then(function (id) {
+            obj.id = id;
+            return obj;
+          });
+        }
+      }),
+      a = factory({ id: 1 });
+
+    ok(isPromise(a),
+      'Async factories should return promises.');
+
+    stop();
+    Promise.all([a, factory({ id: 2 })]).then(function (instances) {
+      equal(instances[0].id, 1,
+        'Promises should resolve to the initialized instance.');
+      equal(instances[1].id, 2,
+        'Each instance should be initialized separately.');
+      equal(instances[0].describe(), 'record from store',
+        'The async factoryInit should finish before the first ' +
+        'instance is created.');
+      equal(factoryInits, 1,
+        'factoryInit should only run once.');
+      start();
+    });
+  });
+
+  test('async: true option', function () {
+    var factory = o.factory({
+      defaultProperties: { ready: true },
+      async: true
+    });
+
+    ok(factory.describe().async,
+      '.describe() should report the async setting.');
+
+    stop();
+    factory().then(function (instance) {
+      ok(instance.ready,
+        'Sync inits should still resolve to the instance.');
+      start();
+    });
+  });
+
+  test('Async rejections', function () {
+    var failure = new Error('no data'),
+      factory = o.factory.async({
+        instanceInit: function () {
+          return Promise.reject(failure);
+        }
+      });
+
+    stop();
+    factory().then(null, function (err) {
+      strictEqual(err, failure,
+        'Init rejections should be propagated.');
+      strictEqual(err.factory, factory,
+        'Rejections should identify the factory.');
+      start();
+    });
+  });
+
+  test('Retrying a rejected factoryInit', function () {
+    var attempts = 0,
+      factory = o.factory.async({
+        factoryInit: function () {
+          attempts += 1;
+          return attempts === 1 ?
+            Promise.reject(new Error('offline'))
+            : Promise.resolve();
+        }
+      });
+
+    stop();
+    factory().then(null, function (err) {
+      equal(err.message, 'offline',
+        'factoryInit rejections should be propagated.');
+      return factory();
+    }).then(function (instance) {
+      ok(instance && attempts === 2,
+        'The next call should run factoryInit again.');
+      start();
+    });
+  });
+
+  function isPromise(value) {
+    return !!value && typeof value.then === 'function';
+  }
+}(odotjs));
+
+(function (o) {
+  'use strict';
+  var orderFactory = o.factory(o.named({
+      name: 'orderFactory',
+      schema: {
+        id: { type: 'number', required: true },
+        status: {
+          type: 'string',
+          'enum': ['open', 'closed'],
+          'default': 'open'
+        },
+        items: { type: 'array', 'default': [] },
+        quantity: {
+          type: 'number',
+          validate: function (value) {
+            return value > 0;
+          }
+        },
+        note: 'string'
+      }
+    })),
+    messageFor = function messageFor(fn) {
+      try {
+        fn();
+      } catch (err) {
+        return err.message;
+      }
+    };
+
+  test('Option schemas', function () {
+    var order = orderFactory({ id: 1, extra: true });
+
+    equal(order.status, 'open',
+      'Schema defaults should be used as default properties.');
+
+    deepEqual(order.items, [],
+      'Schema defaults should be copied per instance.');
+
+    ok(!order.hasOwnProperty('extra'),
+      'Unknown options should be dropped by default.');
+
+    ok(!order.hasOwnProperty('note'),
+      'Optional options should not be required.');
+
+    equal(orderFactory({ id: 2, note: 'rush' }).note, 'rush',
+      'Bare type rules should be accepted.');
+
+    ok(/orderFactory/.test(messageFor(function () {
+      orderFactory({});
+    })) && /"id" is required/.test(messageFor(function () {
+      orderFactory({});
+    })), 'Missing required options should throw, naming the ' +
+      'factory and key.');
+
+    ok(/"id" should be of type "number"/.test(messageFor(function () {
+      orderFactory({ id: '1' });
+    })), 'Type errors should name the key and the type.');
+
+    ok(/"status" should be one of/.test(messageFor(function () {
+      orderFactory({ id: 1, status: 'lost' });
+    })), 'Values outside the enum should throw.');
+
+    ok(/"quantity" is invalid/.test(messageFor(function () {
+      orderFactory({ id: 1, quantity: 0 });
+    })), 'Custom validators should be applied.');
+
+    try {
+      orderFactory({ id: true });
+    } catch (err) {
+      ok(err instanceof TypeError,
+        'Schema errors should be TypeErrors.');
+    }
+  });
+
+  test('unknownOptions: "reject"', function () {
+    var factory = o.factory(o.named({
+      schema: { id: 'number' },
+      unknownOptions: 'reject'
+    }));
+
+    ok(/"extra" is not allowed/.test(messageFor(function () {
+      factory({ id: 1, extra: true });
+    })), 'Unknown options should throw when rejected.');
+
+    equal(factory({ id: 1 }).id, 1,
+      'Known options should still be accepted.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+  test('factory.isInstance() and o.factoryOf()', function () {
+    var orderFactory = o.factory({ defaultProperties: { total: 0 } }),
+      userFactory = o.factory(),
+      rushOrder = orderFactory.extend({
+        defaultProperties: { rush: true }
+      }),
+      auditedOrder = o.compose(orderFactory, userFactory),
+      order = orderFactory(),
+      rush = rushOrder(),
+      audited = auditedOrder(),
+      returned = o.factory({
+        instanceInit: function () {
+          return { replaced: true };
+        }
+      }),
+      replaced = returned();
+
+    ok(orderFactory.isInstance(order),
+      'Factories should recognize their own instances.');
+
+    ok(!userFactory.isInstance(order),
+      'Factories should not claim other factories\' instances.');
+
+    ok(!orderFactory.isInstance({ total: 0 }) &&
+      !orderFactory.isInstance(null) &&
+      !orderFactory.isInstance(3),
+      'Objects not made by a factory should not be instances.');
+
+    ok(orderFactory.isInstance(rush) && rushOrder.isInstance(rush),
+      'Derived factory instances should be instances of the ' +
+      'parent factory.');
+
+    ok(!rushOrder.isInstance(order),
+      'Parent instances should not be instances of the child.');
+
+    ok(orderFactory.isInstance(audited) &&
+      userFactory.isInstance(audited),
+      'Composed factory instances should be instances of every ' +
+      'component factory.');
+
+    strictEqual(o.factoryOf(order), orderFactory,
+      'o.factoryOf() should return the creating factory.');
+
+    strictEqual(o.factoryOf(rush), rushOrder,
+      'o.factoryOf() should return the derived factory.');
+
+    strictEqual(o.factoryOf({}), undefined,
+      'o.factoryOf() should return undefined for other objects.');
+
+    ok(returned.isInstance(replaced),
+      'Objects returned by instanceInit should be tracked.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+  var events = [],
+    timerFactory = o.factory({
+      defaultProperties: { ticks: 0 },
+      beforeInit: function () {
+        events.push('beforeInit ' + this.ticks);
+      },
+      instanceInit: function () {
+        var timer = this;
+
+        events.push('instanceInit');
+        this.onDestroy(function () {
+          events.push('stop timer ' + timer.ticks);
+        });
+        this.onDestroy(function () {
+          events.push('unsubscribe');
+        });
+
+        return this;
+      },
+      afterInit: function (options) {
+        events.push('afterInit ' + options.ticks);
+      }
+    });
+
+  var removeListeners = o.addPlugins({
+    lifecycle: {
+      afterInit: function (obj) {
+        if (o.factoryOf(obj) === timerFactory) {
+          events.push('plugin afterInit');
+        }
+      },
+      destroy: function (obj) {
+        if (o.factoryOf(obj) === timerFactory) {
+          events.push('plugin destroy');
+        }
+      }
+    }
+  });
+
+  test('Lifecycle hooks', function () {
+    var mine,
+      timer = timerFactory({ ticks: 3 }),
+      hooked = o({
+        instanceProperties: { name: 'hooked' },
+        beforeInit: function () {
+          this.before = true;
+        },
+        afterInit: function () {
+          this.after = true;
+        }
+      });
+
+    deepEqual(events, ['beforeInit 3', 'instanceInit', 'afterInit 3',
+      'plugin afterInit'],
+      'Hooks should run around instanceInit, followed by global ' +
+      'listeners.');
+
+    events.length = 0;
+    strictEqual(timer.destroy(), timer,
+      '.destroy() should return the instance.');
+
+    deepEqual(events, ['unsubscribe', 'stop timer 3',
+      'plugin destroy'],
+      '.destroy() should run teardown callbacks, last first, ' +
+      'then tell global listeners.');
+
+    events.length = 0;
+    timer.destroy();
+    deepEqual(events, [],
+      'Teardown callbacks should only run once.');
+
+    ok(hooked.before && hooked.after,
+      'o() should support beforeInit and afterInit.');
+
+    ok(!hooked.proto.hasOwnProperty('lifecycle'),
+      'Lifecycle listeners should not be added to prototypes.');
+
+    raises(function () {
+      o.addPlugins({ lifecycle: { created: function () {} } });
+    }, 'Unknown lifecycle events should throw.');
+
+    equal(o({
+      destroy: function destroy() {
+        return 'mine';
+      }
+    }).destroy(), 'mine',
+      'A destroy method on the prototype should not be replaced.');
+
+    equal(o({
+      'with': function () {
+        return 'mine';
+      }
+    })['with'](), 'mine',
+      'A with method on the prototype should not be replaced.');
+
+    mine = o.factory({
+      sharedProperties: {
+        destroy: function destroy() {
+          return 'mine';
+        },
+        'with': function () {
+          return 'mine';
+        }
+      }
+    });
+
+    ok(mine().destroy() === 'mine' && mine()['with']() === 'mine',
+      'o.factory() should keep destroy and with methods.');
+
+    ok(mine.extend({ defaultProperties: { a: 1 } })().destroy() ===
+      'mine' && mine.extend({
+        defaultProperties: { a: 1 }
+      })()['with']() === 'mine',
+      'factory.extend() should keep inherited destroy and with ' +
+      'methods.');
+
+    ok(!('destroy' in o) && !('with' in mine),
+      'Functions should not get lifecycle methods.');
+
+    removeListeners();
+    events.length = 0;
+    timerFactory({ ticks: 1 }).destroy();
+    deepEqual(events, ['beforeInit 1', 'instanceInit', 'afterInit 1',
+      'unsubscribe', 'stop timer 1'],
+      'Removed lifecycle listeners should not be called.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+  test('Evented plugin', function () {
+    var buttonFactory = o.factory({
+        sharedProperties: {
+          click: function click() {
+            return this.trigger('clicked', this.label);
+          }
+        },
+        evented: true
+      }),
+      a = buttonFactory({ label: 'a' }),
+      b = buttonFactory({ label: 'b' }),
+      calls = [],
+      record = function record(label) {
+        calls.push(label);
+      },
+      second = function second() {
+        calls.push('second');
+      },
+      plain = o(o.named({ evented: true }));
+
+    a.on('clicked', record);
+    a.click();
+    b.click();
+
+    deepEqual(calls, ['a'],
+      'Listeners should be stored per instance.');
+
+    ok(!Object.keys(buttonFactory.describe().sharedProperties)
+      .some(function (key) {
+        return (/listener/i).test(key);
+      }) && !a.hasOwnProperty('clicked'),
+      'Listener storage should not be on the prototype or instance.');
+
+    calls = [];
+    a.once('clicked', function () {
+      calls.push('once');
+    });
+    a.click();
+    a.click();
+    deepEqual(calls, ['a', 'once', 'a'],
+      '.once() listeners should only run once.');
+
+    calls = [];
+    a.off('clicked', record);
+    a.click();
+    deepEqual(calls, [],
+      '.off() should remove a listener.');
+
+    a.on('clicked.menu', function () {
+      calls.push('menu');
+    });
+    a.on('clicked.toolbar', function () {
+      calls.push('toolbar');
+    });
+    a.trigger('clicked.menu');
+    deepEqual(calls, ['menu'],
+      'Namespaced triggers should only call that namespace.');
+
+    calls = [];
+    a.off('.menu');
+    a.click();
+    deepEqual(calls, ['toolbar'],
+      '.off(".namespace") should remove the whole namespace.');
+
+    calls = [];
+    a.off();
+    a.on('*', function (event, label) {
+      calls.push(event + ' ' + label);
+    });
+    a.click();
+    deepEqual(calls, ['clicked a'],
+      'Wildcard listeners should get the event name first.');
+
+    calls = [];
+    a.off();
+    a.on('*.menu', function (event) {
+      calls.push(event);
+    });
+    a.trigger('clicked.toolbar');
+    a.trigger('clicked.menu');
+    a.click();
+    deepEqual(calls, ['clicked.menu', 'clicked'],
+      'Namespaced wildcard listeners should match the namespace.');
+
+    calls = [];
+    a.off();
+    a.on('clicked', function () {
+      calls.push('first');
+      a.off('clicked', second);
+    });
+    a.on('clicked', second);
+    a.click();
+    deepEqual(calls, ['first'],
+      'Listeners removed during dispatch should not be called.');
+
+    ok(typeof plain.on === 'function' &&
+      typeof o({}).on !== 'function',
+      'o() should only add event methods when asked to.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+  test('factory.pool()', function () {
+    var inits = 0,
+      teardowns = 0,
+      particle = o.factory({
+        defaultProperties: { x: 0, y: 0, trail: [] },
+        instanceInit: function (options) {
+          inits += 1;
+          this.speed = (options && options.speed) || 1;
+          this.onDestroy(function () {
+            teardowns += 1;
+          });
+          return this;
+        }
+      }),
+      particles = particle.pool({ size: 1 }),
+      a = particles.acquire({ x: 5 }),
+      b = particles.acquire(),
+      reused;
+
+    a.trail.push(1);
+    a.extra = true;
+
+    particles.release(a);
+    particles.release(b);
+
+    equal(teardowns, 2,
+      'Released instances should be destroyed.');
+
+    reused = particles.acquire({ speed: 3 });
+
+    strictEqual(reused, a,
+      'Released instances should be reused.');
+
+    ok(reused.x === 0 && reused.trail.length === 0 &&
+      !reused.hasOwnProperty('extra'),
+      'Reused instances should be reset to the defaults.');
+
+    ok(inits === 3 && reused.speed === 3,
+      'instanceInit should run again on reuse.');
+
+    ok(particle.isInstance(reused),
+      'Pooled instances should still be factory instances.');
+
+    notStrictEqual(particles.acquire(), b,
+      'Instances beyond the pool size should not be kept.');
+
+    deepEqual(particles.stats(), {
+      available: 0,
+      hits: 1,
+      misses: 3,
+      inUse: 2,
+      highWaterMark: 2
+    }, '.stats() should report pool statistics.');
+
+    raises(function () {
+      particles.release(particle());
+    }, 'Releasing foreign instances should throw.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+  test('Property descriptors are copied', function () {
+    var reads = 0,
+      shared = Object.defineProperty({}, 'area', {
+        get: function () {
+          reads += 1;
+          return this.width * this.height;
+        },
+        enumerable: true
+      }),
+      instanceProperties = Object.defineProperties({}, {
+        width: { value: 2, writable: true, enumerable: true },
+        height: { value: 3, writable: true, enumerable: true },
+        id: { value: 'fixed', writable: false, enumerable: true },
+        secret: { value: 'hidden', enumerable: false }
+      }),
+      rect = o(shared, instanceProperties),
+      factory = o.factory({
+        sharedProperties: shared,
+        defaultProperties: { width: 1, height: 1 }
+      }),
+      child = factory.extend({
+        sharedProperties: Object.create(null, {
+          perimeter: {
+            get: function () {
+              return 2 * (this.width + this.height);
+            },
+            enumerable: true
+          }
+        })
+      }),
+      valueCopy = o.extendWith({ copyValues: true }),
+      flattened;
+
+    equal(rect.area, 6,
+      'Getters on the prototype should still work.');
+
+    rect.width = 4;
+    equal(rect.area, 12,
+      'Getters should be evaluated on each read.');
+
+    raises(function () {
+      rect.id = 'changed';
+    }, 'Readonly instance properties should stay readonly.');
+
+    ok(rect.hasOwnProperty('secret') &&
+      Object.keys(rect).indexOf('secret') === -1,
+      'Non-enumerable instance properties should stay ' +
+      'non-enumerable.');
+
+    equal(child({ width: 2, height: 5 }).perimeter, 14,
+      'Getters in derived shared properties should be copied.');
+
+    reads = 0;
+    flattened = o.extend({}, o.compose(factory)
+      .describe().sharedProperties);
+    ok(reads === 0 && typeof Object.getOwnPropertyDescriptor(
+      flattened, 'area').get === 'function',
+      'o.extend() should copy accessors without calling them.');
+
+    flattened = valueCopy({}, rect);
+    ok(reads === 1 && Object.getOwnPropertyDescriptor(flattened,
+      'area').value === 12,
+      'o.extendWith({ copyValues: true }) should assign values.');
+
+    flattened = o.extend({}, Object.freeze({ a: 1 }));
+    ok(!Object.getOwnPropertyDescriptor(flattened, 'a').writable &&
+      !Object.getOwnPropertyDescriptor(flattened, 'a').configurable,
+      'Properties copied from frozen sources should keep their ' +
+      'attributes.');
+
+    flattened = o.factory({
+      defaultProperties: { total: 0 }
+    })(Object.freeze({ count: 1 }));
+    flattened.count += 1;
+    equal(flattened.count, 2,
+      'Frozen options should make writable instance properties.');
+
+    flattened = Object.defineProperty({}, 'size', {
+      set: function (value) {
+        this.sizes = (this.sizes || []).concat(value);
+      },
+      configurable: true
+    });
+    o.extend(flattened, { size: 3 });
+    deepEqual(flattened.sizes, [3],
+      'Setters on the target should be called.');
+
+    flattened = Object.defineProperty({}, 'fixed', {
+      value: 1,
+      writable: true,
+      enumerable: true
+    });
+    o.extend(flattened, { fixed: 2 });
+    equal(flattened.fixed, 2,
+      'Writable, non-configurable properties should be assigned.');
+
+    ok(o({
+      instanceProperties: instanceProperties,
+      copyValues: true
+    }).propertyIsEnumerable('id') && !o({
+      instanceProperties: instanceProperties,
+      copyValues: true
+    }).hasOwnProperty('secret'),
+      'o({ copyValues: true }) should use the old value copy.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+  test('Symbol keys and own-only copying', function () {
+    var protocol = Symbol['for']('odotjs test protocol'),
+      shared = {},
+      base = {},
+      source,
+      factory,
+      list,
+      ownOnly = o.extendWith({ ownOnly: true }),
+      copy;
+
+    shared[Symbol.iterator] = function () {
+      var items = this.items,
+        index = 0;
+      return {
+        next: function () {
+          return {
+            done: index >= items.length,
+            value: items[index++]
+          };
+        }
+      };
+    };
+    shared[protocol] = function () {
+      return 'protocol';
+    };
+
+    base.inherited = true;
+    base[protocol] = 'inherited symbol';
+    source = Object.create(base);
+    source.own = true;
+
+    factory = o.factory({
+      sharedProperties: o.extend({}, shared),
+      defaultProperties: { items: [1, 2] }
+    });
+    list = factory.extend({})();
+
+    deepEqual(Array.from(list), [1, 2],
+      'Symbol.iterator should be copied to derived prototypes.');
+
+    equal(list[protocol](), 'protocol',
+      'Custom Symbol keys should be copied.');
+
+    copy = o.extend({}, source);
+    ok(copy.own && copy.inherited &&
+      copy[protocol] === 'inherited symbol',
+      'o.extend() should copy inherited properties, including ' +
+      'Symbols.');
+
+    copy = ownOnly({}, source);
+    ok(copy.own && !('inherited' in copy) &&
+      !(protocol in copy),
+      'o.extendWith({ ownOnly: true }) should skip inherited ' +
+      'properties.');
+
+    copy = {};
+    copy[protocol] = 'default';
+    equal(o.factory({ defaultProperties: copy })()[protocol], 'default',
+      'Symbol keyed defaults should be copied to instances.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+  var payloads = [
+      '{"__proto__": {"polluted": true}}',
+      '{"constructor": {"prototype": {"polluted": true}}}',
+      '{"prototype": {"polluted": true}}',
+      '{"nested": {"__proto__": {"polluted": true}}}'
+    ],
+    isPolluted = function isPolluted(obj) {
+      return ({}).polluted !== undefined ||
+        Object.prototype.polluted !== undefined ||
+        (obj && obj.polluted !== undefined);
+    };
+
+  test('Prototype pollution safeguards', function () {
+    var factory = o.factory({
+        defaultProperties: { safe: true }
+      }),
+      nested = o.factory({
+        defaultProperties: JSON.parse(payloads[3])
+      }),
+      copyValues = o.extendWith({ copyValues: true });
+
+    payloads.forEach(function (payload) {
+      var options = JSON.parse(payload),
+        instance = factory(options),
+        copy = o.extend({}, options),
+        valueCopy = copyValues({}, options);
+
+      ok(!isPolluted(instance) && instance.safe &&
+        Object.getPrototypeOf(Object.getPrototypeOf(instance)) ===
+          Object.prototype,
+        'Factory options should not pollute prototypes: ' + payload);
+
+      ok(!isPolluted(copy) && !isPolluted(valueCopy) &&
+        Object.getPrototypeOf(valueCopy) === Object.prototype,
+        'o.extend() should not pollute prototypes: ' + payload);
+    });
+
+    ok(!nested().nested.hasOwnProperty('__proto__') &&
+      !isPolluted(nested().nested),
+      'Copied defaults should drop unsafe keys.');
+
+    deepEqual(o.mapOptions('a, __proto__, b', 1, 2, 3), { a: 1, b: 3 },
+      '.mapOptions() should drop unsafe names, keeping positions.');
+
+    equal(o.factory({ defaultProperties: { constructor: 'x' } })()
+      .constructor, Object,
+      'constructor keys should be dropped by default.');
+  });
+
+  test('o.setUnsafeKeyPolicy()', function () {
+    var previous = o.setUnsafeKeyPolicy('throw'),
+      warnings = [],
+      warn = console.warn;
+
+    equal(previous, 'drop',
+      'The default policy should be "drop".');
+
+    raises(function () {
+      o.extend({}, JSON.parse(payloads[0]));
+    }, 'The "throw" policy should throw on unsafe keys.');
+
+    o.setUnsafeKeyPolicy('warn');
+    console.warn = function (message) {
+      warnings.push(message);
+    };
+    o.extend({}, JSON.parse(payloads[0]));
+    console.warn = warn;
+    ok(warnings.length === 1 && /__proto__/.test(warnings[0]),
+      'The "warn" policy should warn about unsafe keys.');
+
+    o.setUnsafeKeyPolicy('drop');
+
+    equal(o.extendWith({ unsafeKeys: 'allow' })({},
+      { constructor: 'x' }).constructor, 'x',
+      'extendWith() should accept a policy of its own.');
+
+    raises(function () {
+      o.setUnsafeKeyPolicy('ignore');
+    }, 'Unknown policies should throw.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+  var defaults = {
+    attrs: { id: 0, role: 'button' },
+    http: { headers: { accept: 'json', lang: 'en' }, retries: 1 },
+    tags: ['base'],
+    style: { color: 'red', border: { width: 1, style: 'solid' } }
+  };
+
+  test('Merge strategies for defaults', function () {
+    var shallow = o.factory({ defaultProperties: defaults }),
+      deep = o.factory({ defaultProperties: defaults, merge: 'deep' }),
+      custom = o.factory({
+        defaultProperties: defaults,
+        merge: {
+          arrays: 'concat',
+          keys: {
+            attrs: 'deep',
+            style: 'shallow',
+            'http.headers': function (defaultValue, optionValue) {
+              return o.extend({}, optionValue, defaultValue);
+            }
+          }
+        }
+      }),
+      a = deep({ attrs: { id: 1 }, http: { headers: { lang: 'fr' } } }),
+      b;
+
+    deepEqual(shallow({ attrs: { id: 1 } }).attrs, { id: 1 },
+      'Without a merge setting, nested defaults are replaced.');
+
+    deepEqual(a.attrs, { id: 1, role: 'button' },
+      'Deep merges should keep the other nested defaults.');
+
+    deepEqual(a.http, {
+      headers: { accept: 'json', lang: 'fr' },
+      retries: 1
+    }, 'Deep merges should recurse.');
+
+    deepEqual(deep({ tags: ['extra'] }).tags, ['extra'],
+      'Arrays should be replaced by default.');
+
+    equal(deep().attrs.id, 0,
+      'Deep merges should not change the defaults.');
+
+    b = custom({
+      attrs: { id: 2 },
+      tags: ['extra'],
+      style: { border: { width: 2 } },
+      http: { headers: { accept: 'xml', auth: 'token' } }
+    });
+
+    deepEqual(b.attrs, { id: 2, role: 'button' },
+      'Per-key deep merges should work.');
+
+    deepEqual(b.tags, ['base', 'extra'],
+      'arrays: "concat" should concatenate arrays.');
+
+    deepEqual(b.style, { color: 'red', border: { width: 2 } },
+      'Per-key shallow merges should merge one level.');
+
+    deepEqual(b.http, {
+      headers: { accept: 'json', lang: 'en', auth: 'token' },
+      retries: 1
+    }, 'Per-key functions should decide nested values.');
+
+    raises(function () {
+      o.factory(o.named({ merge: 'sideways' }));
+    }, 'Unknown strategies should throw.');
+
+    raises(function () {
+      o.factory(o.named({ merge: 'concat' }));
+    }, 'Array modes should not be accepted as strategies.');
+
+    raises(function () {
+      o.factory(o.named({ merge: { strategy: 'replace' } }));
+    }, 'Key modes should not be accepted as strategies.');
+
+    equal(o.factory(o.named({
+      defaultProperties: { tags: ['a'] },
+      merge: { strategy: 'shallow', arrays: 'concat' }
+    }))({ tags: ['b'] }).tags.join(), 'a,b',
+      'Arrays should follow the arrays setting.');
+
+    ok(!deep(JSON.parse('{"attrs": {"__proto__": {"polluted": 1}}}'))
+      .attrs.polluted && ({}).polluted === undefined,
+      'Deep merges should drop unsafe keys.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+  test('o.generate() defaults', function () {
+    var nextId = 0,
+      factory = o.factory({
+        defaultProperties: {
+          id: o.generate(function () {
+            nextId += 1;
+            return nextId;
+          }),
+          created: o.generate(function () {
+            return new Date();
+          }),
+          cache: o.generate(function () {
+            return new Map();
+          }),
+          label: o.generate(function (options, key) {
+            return key + ' for ' + (options && options.name);
+          }),
+          nested: {
+            items: o.generate(function () {
+              return [];
+            })
+          }
+        }
+      }),
+      a = factory({ name: 'a' }),
+      b = factory({ name: 'b', id: 'custom' });
+
+    ok(a.id === 1 && b.id === 'custom' && nextId === 1,
+      'Generators should not run for keys given as options.');
+
+    equal(factory().id, 2,
+      'Each instance should get a freshly generated value.');
+
+    ok(a.created instanceof Date && a.cache instanceof Map &&
+      a.cache !== b.cache,
+      'Generated collections should never be shared.');
+
+    equal(a.label, 'label for a',
+      'Generators should get the options and the key.');
+
+    ok(Array.isArray(a.nested.items) &&
+      a.nested.items !== b.nested.items,
+      'Nested generators should be resolved.');
+
+    raises(function () {
+      o.generate('id');
+    }, 'o.generate() should require a function.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+  test('acceptOptions', function () {
+    var listed = o.factory({
+        defaultProperties: { name: 'anonymous' },
+        acceptOptions: ['name', 'email']
+      }),
+      mapped = o.factory({
+        acceptOptions: {
+          name: true,
+          user_email: 'email',
+          age: function (value) {
+            return Number(value);
+          },
+          tags: {
+            as: 'labels',
+            transform: function (value) {
+              return value.split(',');
+            }
+          }
+        },
+        instanceInit: function (options) {
+          this.sawPassword = !!options.password;
+          return this;
+        }
+      }),
+      a = listed({ name: 'Ann', email: 'ann@example.com', admin: true }),
+      b = mapped({
+        name: 'Bob',
+        user_email: 'bob@example.com',
+        age: '42',
+        tags: 'a,b',
+        password: 'secret'
+      });
+
+    ok(a.name === 'Ann' && a.email === 'ann@example.com' &&
+      !a.hasOwnProperty('admin'),
+      'Only listed options should be copied onto the instance.');
+
+    equal(listed().name, 'anonymous',
+      'Defaults should still apply.');
+
+    equal(b.email, 'bob@example.com',
+      'String rules should rename options.');
+
+    ok(!b.hasOwnProperty('user_email'),
+      'Renamed options should not keep their old name.');
+
+    strictEqual(b.age, 42,
+      'Function rules should transform values.');
+
+    deepEqual(b.labels, ['a', 'b'],
+      'Object rules should rename and transform.');
+
+    ok(!b.hasOwnProperty('password') && b.sawPassword,
+      'instanceInit should still get every option.');
+
+    raises(function () {
+      o.factory(o.named({ acceptOptions: { name: 3 } }));
+    }, 'Invalid rules should throw.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+  test('Immutable instances', function () {
+    var inits = 0,
+      money = o.factory({
+        sharedProperties: {
+          add: function add(amount) {
+            return this['with']({ cents: this.cents + amount });
+          }
+        },
+        defaultProperties: { cents: 0, currency: 'USD' },
+        instanceInit: function () {
+          inits += 1;
+          this.display = (this.cents / 100).toFixed(2) + ' ' +
+            this.currency;
+          return this;
+        },
+        freeze: true
+      }),
+      snapshot = o.factory({
+        defaultProperties: { settings: { level: 1 }, list: [1] },
+        freeze: 'deep'
+      }),
+      point = o({
+        instanceProperties: { x: 1, y: 2 },
+        freeze: 'shallow'
+      }),
+      price = money({ cents: 150 }),
+      total = price.add(50),
+      config = snapshot(),
+      moved = point['with']({ x: 5 });
+
+    ok(Object.isFrozen(price),
+      'Instances should be frozen after init.');
+
+    raises(function () {
+      price.cents = 0;
+    }, 'Frozen instances should not be changed.');
+
+    ok(!Object.isFrozen(Object.getPrototypeOf(price)),
+      'The shared prototype should not be frozen.');
+
+    ok(total !== price && total.cents === 200 && price.cents === 150,
+      '.with() should return a new instance with the changes.');
+
+    ok(total.display === '2.00 USD' && inits === 2,
+      '.with() should run init again.');
+
+    ok(Object.isFrozen(total) && money.isInstance(total) &&
+      Object.getPrototypeOf(total) === Object.getPrototypeOf(price),
+      '.with() instances should be frozen, with the same prototype.');
+
+    ok(Object.isFrozen(config.settings) &&
+      Object.isFrozen(config.list),
+      'Deep freezing should freeze nested objects.');
+
+    ok(Object.isFrozen(point) && moved.x === 5 && moved.y === 2 &&
+      Object.isFrozen(moved),
+      'o() should support freeze and .with().');
+
+    raises(function () {
+      money.pool();
+    }, 'Frozen factories should not be pooled.');
+
+    raises(function () {
+      o(o.named({ freeze: 'solid' }));
+    }, 'Unknown freeze modes should throw.');
+  });
+
+  test('.with() on factory instances', function () {
+    var counter = 0,
+      account = o.factory({
+        defaultProperties: {
+          id: o.generate(function () {
+            counter += 1;
+            return counter;
+          })
+        },
+        schema: { cents: 'number', user_email: 'string' },
+        unknownOptions: 'reject',
+        acceptOptions: { cents: true, user_email: 'email' },
+        freeze: true
+      }),
+      listed = o.factory(o.named({ freeze: 'deep' })),
+      mine = [1, 2],
+      first = account({ cents: 1, user_email: 'a@example.com' }),
+      changed = first['with']({ user_email: 'b@example.com' });
+
+    raises(function () {
+      first['with']({ cents: 'lots' });
+    }, '.with() should apply the schema.');
+
+    raises(function () {
+      first['with']({ extra: true });
+    }, '.with() should reject unknown options.');
+
+    ok(changed.email === 'b@example.com' && changed.cents === 1 &&
+      !changed.hasOwnProperty('user_email'),
+      '.with() should apply acceptOptions renames.');
+
+    ok(changed.id === first.id && counter === 1,
+      '.with() should keep generated defaults.');
+
+    ok(Object.isFrozen(listed({ list: mine }).list) &&
+      !Object.isFrozen(mine),
+      'Deep freezing should not freeze objects passed as options.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+  test('Traits', function () {
+    var comparable = o.trait({
+        provides: {
+          equals: function equals(other) {
+            return this.compare(other) === 0;
+          },
+          describe: function describe() {
+            return 'comparable';
+          }
+        },
+        requires: ['compare']
+      }),
+      printable = o.trait({
+        describe: function describe() {
+          return 'printable ' + this.value;
+        }
+      }),
+      sized = o.factory({
+        sharedProperties: {
+          compare: function compare(other) {
+            return this.value - other.value;
+          }
+        },
+        traits: [comparable.exclude('describe'),
+          printable.alias({ describe: 'print' })]
+      }),
+      a = sized({ value: 1 }),
+      b = sized({ value: 1 }),
+      messageFor = function messageFor(fn) {
+        try {
+          fn();
+        } catch (err) {
+          return err.message;
+        }
+      };
+
+    ok(a.equals(b),
+      'Trait methods should be shared.');
+
+    ok(!a.hasOwnProperty('equals'),
+      'Trait methods should be on the prototype.');
+
+    ok(a.describe() === 'printable 1' && a.print() === 'printable 1',
+      'Excluded methods should be skipped, and aliases added.');
+
+    ok(/conflict for "describe"/.test(messageFor(function () {
+      o.factory({
+        sharedProperties: { compare: function () {} },
+        traits: [comparable, printable]
+      });
+    })), 'Unresolved conflicts should throw, naming the method.');
+
+    equal(o.factory({
+      sharedProperties: {
+        compare: function () {},
+        describe: function () {
+          return 'own';
+        }
+      },
+      traits: [comparable, printable]
+    })().describe(), 'own',
+      'Shared properties should resolve conflicts.');
+
+    ok(/required method "compare"/.test(messageFor(function () {
+      o.factory(o.named({ traits: [comparable] }));
+    })), 'Missing required methods should throw.');
+
+    ok(o.factory(o.named({
+      traits: [comparable, o.trait({ compare: function () {
+        return 0;
+      } })]
+    }))().equals({}),
+      'Other traits can provide required methods.');
+
+    raises(function () {
+      o.factory(o.named({ traits: [{ provides: {} }] }));
+    }, 'Only o.trait() objects should be accepted as traits.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+  test('o.advise()', function () {
+    var log = [],
+      proto = {
+        save: function save(record) {
+          log.push('save ' + record);
+          return 'saved ' + record;
+        }
+      },
+      store = o(proto),
+      other = o(proto),
+      removeBefore = o.advise(proto, 'save', {
+        before: function (record) {
+          log.push('authorize ' + record);
+        }
+      }),
+      removeAround = o.advise(proto, 'save', {
+        around: function (proceed, args) {
+          log.push('around ' + args[0]);
+          return proceed(args[0] + '!');
+        },
+        after: function (result) {
+          return result.toUpperCase();
+        }
+      }),
+      removeInstance;
+
+    equal(store.save('a'), 'SAVED A!',
+      'Advice should wrap shared methods.');
+
+    deepEqual(log, ['around a', 'authorize a!', 'save a!'],
+      'Later advice should wrap earlier advice.');
+
+    log = [];
+    removeInstance = o.advise(store, 'save', {
+      before: function () {
+        log.push('instance');
+      }
+    });
+    store.save('b');
+    other.save('c');
+    deepEqual(log, ['instance', 'around b', 'authorize b!', 'save b!',
+      'around c', 'authorize c!', 'save c!'],
+      'Instance advice should only apply to that instance, on top ' +
+      'of prototype advice.');
+
+    removeAround();
+    log = [];
+    equal(store.save('d'), 'saved d',
+      'Removed advice should no longer apply.');
+    deepEqual(log, ['instance', 'authorize d', 'save d'],
+      'Remaining advice should still apply.');
+
+    removeBefore();
+    removeInstance();
+    ok(!store.hasOwnProperty('save') && other.save('e') === 'saved e',
+      'Removing all advice should restore the original methods.');
+
+    raises(function () {
+      o.advise(proto, 'missing', {});
+    }, 'Advising a missing method should throw.');
+  });
+
+  test('Factory advice', function () {
+    var calls = [],
+      factory = o.factory({
+        sharedProperties: {
+          load: function load(id) {
+            calls.push('load ' + id);
+            return { id: id };
+          }
+        },
+        advice: {
+          load: [{
+            before: function (id) {
+              calls.push('log ' + id);
+            }
+          }, {
+            around: function (proceed, args) {
+              var cache = this.cache || (this.cache = {});
+              return cache[args[0]] || (cache[args[0]] = proceed());
+            }
+          }]
+        }
+      }),
+      instance = factory();
+
+    instance.load(1);
+    instance.load(1);
+
+    deepEqual(calls, ['log 1', 'load 1'],
+      'Factory advice should wrap shared methods, in order.');
+
+    ok(instance.load(1) === instance.load(1) &&
+      factory().load(1) !== instance.load(1),
+      'Around advice should run with the instance as this.');
+  });
+
+  test('Factory advice on derived factories and instances', function () {
+    var calls = [],
+      parent = o.factory({
+        sharedProperties: {
+          load: function load(id) {
+            calls.push('load ' + id);
+            return id;
+          }
+        },
+        advice: {
+          load: {
+            before: function (id) {
+              calls.push('parent ' + id);
+            }
+          }
+        }
+      }),
+      child = parent.extend(o.named({
+        advice: {
+          load: {
+            before: function (id) {
+              calls.push('child ' + id);
+            }
+          }
+        }
+      })),
+      override = parent.extend({
+        sharedProperties: {
+          load: function load(id) {
+            calls.push('override ' + id);
+            return o.callNext(this, 'load', [id]);
+          }
+        }
+      }),
+      instance = child(),
+      other = child(),
+      removeInstance,
+      removeShared;
+
+    instance.load(1);
+    deepEqual(calls, ['child 1', 'parent 1', 'load 1'],
+      'Child advice should wrap the parent\'s advised method.');
+
+    calls = [];
+    parent().load(2);
+    deepEqual(calls, ['parent 2', 'load 2'],
+      'Child advice should not change the parent factory.');
+
+    calls = [];
+    override().load(3);
+    deepEqual(calls, ['override 3', 'parent 3', 'load 3'],
+      'Overriding methods should reach the advised parent method.');
+
+    removeInstance = o.advise(instance, 'load', {
+      after: function (result) {
+        return result * 10;
+      }
+    });
+    equal(instance.load(4), 40,
+      'Instance advice should apply on top of factory advice.');
+    equal(other.load(4), 4,
+      'Instance advice should only apply to that instance.');
+
+    removeInstance();
+    ok(!instance.hasOwnProperty('load') && instance.load(5) === 5,
+      'Removing instance advice should restore the shared method.');
+
+    removeShared = o.advise(Object.getPrototypeOf(parent()), 'load', {
+      before: function () {
+        calls.push('extra');
+      }
+    });
+    calls = [];
+    parent().load(6);
+    deepEqual(calls, ['extra', 'parent 6', 'load 6'],
+      'o.advise() on the prototype should wrap factory advice.');
+
+    removeShared();
+    calls = [];
+    parent().load(7);
+    deepEqual(calls, ['parent 7', 'load 7'],
+      'Removing it should leave the factory advice in place.');
+
+    raises(function () {
+      o.factory({
+        sharedProperties: {},
+        advice: { missing: { before: function () {} } }
+      });
+    }, /Can't advise "missing"/,
+      'Advice for a missing method should throw.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+  test('o.callNext()', function () {
+    var base = {
+        describe: function describe() {
+          return 'base ' + this.name;
+        }
+      },
+      middle = Object.create(base),
+      top,
+      animal = o.factory({
+        sharedProperties: {
+          speak: function speak(sound) {
+            return this.name + ' says ' + sound;
+          }
+        }
+      }),
+      dog = animal.extend({
+        sharedProperties: {
+          speak: function speak(sound) {
+            return o.callNext(this, 'speak', [sound.toUpperCase()]) +
+              '!';
+          }
+        }
+      });
+
+    middle.describe = function describe() {
+      return 'middle > ' + o.callNext(this, 'describe');
+    };
+    top = o(middle, { name: 'top' });
+    top.describe = function describe() {
+      return 'top > ' + o.callNext(this, 'describe');
+    };
+
+    equal(top.describe(), 'top > middle > base top',
+      'Each override should reach the next implementation.');
+
+    equal(top.describe(), 'top > middle > base top',
+      'Calls should work more than once.');
+
+    equal(dog({ name: 'Rex' }).speak('woof'), 'Rex says WOOF!',
+      'Derived factory methods should reach parent methods, with ' +
+      'new arguments.');
+
+    raises(function () {
+      o.callNext(o({ run: function () {} }), 'run');
+    }, 'Calling past the end of the chain should throw.');
+
+    raises(function () {
+      o.callNext(top, 'describe', [], function describe() {});
+    }, /isn't in the delegate chain/,
+      'Unknown callers should throw.');
+  });
+
+  test('o.callNext() after a promise', function () {
+    var calls = [],
+      later = function later() {
+        return Promise.resolve();
+      },
+      base = {
+        save: function save(record) {
+          calls.push('base ' + record);
+          return Promise.resolve(calls);
+        }
+      },
+      middle = Object.create(base),
+      top;
+
+    middle.save = function save(record) {
+      var self = this;
+      calls.push('middle');
+      return later().then(function () {
+        return o.callNext(self, 'save', [record], save);
+      });
+    };
+    top = o(middle);
+    top.save = function save(record) {
+      var self = this;
+      calls.push('top');
+      return later().then(function () {
+        return o.callNext(self, 'save', [record], save);
+      });
+    };
+
+    stop();
+    top.save('a').then(function (result) {
+      deepEqual(result, ['top', 'middle', 'base a'],
+        'Passing the caller should find the next method after ' +
+        'async steps.');
+      start();
+    });
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+
+  test('Typed mapOptions signatures', function () {
+    var signature = 'resize(width:number, height:number=0, ' +
+        'tags:array=[], label?:string, cb?:function)',
+      first = o.mapOptions(signature, '100'),
+      second = o.mapOptions(signature, { width: 5, label: 7 });
+
+    deepEqual(first, { width: 100, height: 0, tags: [],
+      label: undefined, cb: undefined },
+      'Values should be coerced, and defaults applied.');
+
+    equal(second.label, '7',
+      'Named parameters should be coerced, too.');
+
+    notStrictEqual(first.tags, second.tags,
+      'Each call should get a fresh default.');
+
+    equal(o.mapOptions('on:boolean, list:array=[1,2], mode=\'fast\'',
+      'false').on, false,
+      'Boolean strings should become booleans.');
+
+    deepEqual(o.mapOptions('list:array=[1,2], mode=\'fast\'').list,
+      [1, 2], 'Defaults containing commas should parse.');
+
+    equal(o.mapOptions('list:array=[1,2], mode=\'fast\'').mode,
+      'fast', 'Quoted string defaults should parse.');
+
+    raises(function () {
+      o.mapOptions(signature, 'wide');
+    }, function (err) {
+      return err instanceof TypeError &&
+        err.message === 'odotjs: resize() parameter "width" ' +
+          'should be of type "number".';
+    }, 'Bad types should throw, naming the function and parameter.');
+
+    raises(function () {
+      o.mapOptions(signature);
+    }, /resize\(\) parameter "width" is required/,
+      'Missing required parameters should throw.');
+
+    raises(function () {
+      o.mapOptions('a:widget', 1);
+    }, /Unknown type "widget"/,
+      'Unknown types should throw.');
+
+    deepEqual(o.mapOptions('a, b', 1), { a: 1, b: undefined },
+      'Untyped parameters should work as before.');
+
+    deepEqual(o.mapOptions('name:string, count:number=5',
+      { name: 'a', count: 0 }), { name: 'a', count: 0 },
+      'Falsy hash values should not be replaced by defaults.');
+
+    deepEqual(o.mapOptions('dry-run, b', 1, 2), { 'dry-run': 1, b: 2 },
+      'Plain names should be accepted as they always were.');
+
+    equal(o.mapOptions('dry-run:number=3')['dry-run'], 3,
+      'Typed names can contain dashes.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+
+  test('Named argument detection', function () {
+    var strict = o.mapOptionsWith({ detect: 'strict' }),
+      mixed = o.mapOptionsWith({ detect: 'mixed' }),
+      point = { x: 1, y: 2 };
+
+    deepEqual(o.mapOptions('count, label', o.named({ count: 0,
+      label: '' })), { count: 0, label: '' },
+      'Marked hashes should keep falsy values.');
+
+    deepEqual(o.mapOptions('count:number=0, label?:string',
+      { count: 0, label: '' }), { count: 0, label: '' },
+      'Hashes of falsy values should be found by key for typed ' +
+      'params.');
+
+    deepEqual(o.mapOptions('a, b, c', 1, o.named({ c: 3 })),
+      { a: 1, b: undefined, c: 3 },
+      'A marked hash should also work after positional arguments.');
+
+    deepEqual(strict('count, label', { count: 0, label: null }),
+      { count: 0, label: null },
+      'Strict mode should check key presence, not truthiness.');
+
+    deepEqual(strict('origin, scale', point, 2),
+      { origin: point, scale: 2 },
+      'Strict mode should not read an object followed by more ' +
+      'arguments as a hash.');
+
+    deepEqual(strict('origin, scale', { origin: point }),
+      { origin: point, scale: undefined },
+      'Strict mode should find a lone hash.');
+
+    deepEqual(mixed('url, method, retries', '/users',
+      { retries: 0 }),
+      { url: '/users', method: undefined, retries: 0 },
+      'Mixed mode should accept a trailing options hash.');
+
+    deepEqual(mixed('url, body', '/users', { url: '/other' }),
+      { url: '/users', body: { url: '/other' } },
+      'Keys for positional parameters should not make a hash.');
+
+    deepEqual(o.mapOptions('a, b', { a: 0, b: 2 }), { b: 2 },
+      'The default detection should work as before.');
+
+    raises(function () {
+      o.mapOptionsWith({ detect: 'guess' });
+    }, /Unknown detect setting "guess"/,
+      'Unknown detect settings should throw.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+
+  test('o.polymorphic()', function () {
+    var greeter = {
+        greeting: 'Hello',
+        greet: o.polymorphic('name:string, punctuation=\'!\'',
+          function greet(options) {
+            return this.greeting + ', ' + options.name +
+              options.punctuation;
+          })
+      },
+      area = o.polymorphic('width:number, height:number=1',
+        function area(width, height) {
+          return width * height;
+        }, { spread: true });
+
+    equal(greeter.greet('Ann'), 'Hello, Ann!',
+      'Positional calls should get a config object and keep this.');
+
+    equal(greeter.greet({ name: 'Bo', punctuation: '?' }),
+      'Hello, Bo?', 'Named calls should work, too.');
+
+    equal(area(3, '4'), 12,
+      'Spread mode should pass coerced arguments.');
+
+    equal(area(o.named({ width: 5 })), 5,
+      'Spread mode should accept named hashes and apply defaults.');
+
+    equal(greeter.greet.name, 'greet', 'The name should be kept.');
+
+    equal(area.length, 2, 'The length should be kept.');
+
+    raises(function () {
+      area('wide');
+    }, /area\(\) parameter "width" should be of type "number"/,
+      'Errors should name the wrapped function.');
+
+    raises(function () {
+      o.polymorphic('a, b');
+    }, TypeError, 'A function is required.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+
+  test('Rest, nested and aliased parameters', function () {
+    var merge = o.polymorphic('target:object, ...sources:object',
+        function merge(target) {
+          return typeof target + ' ' +
+            [].slice.call(arguments, 1).length;
+        }, { spread: true }),
+      serve = 'server.host:string=\'localhost\', server.port:number, ' +
+        'timeout|ms:number=1000';
+
+    deepEqual(o.mapOptions('target, ...sources', 1, 2, 3),
+      { target: 1, sources: [2, 3] },
+      'Rest parameters should collect remaining arguments.');
+
+    deepEqual(o.mapOptions('target, ...sources', 1),
+      { target: 1, sources: [] },
+      'Rest parameters should default to an empty array.');
+
+    deepEqual(o.mapOptions('...ids:number', '1', 2).ids, [1, 2],
+      'Rest items should be coerced.');
+
+    raises(function () {
+      o.mapOptions('...ids:number', 'one');
+    }, /parameter "ids" items should be of type "number"/,
+      'Bad rest items should throw.');
+
+    equal(merge({}, {}, {}, {}), 'object 3',
+      'Spread mode should spread rest parameters.');
+
+    deepEqual(o.mapOptions(serve, undefined, '8080'),
+      { server: { host: 'localhost', port: 8080 }, timeout: 1000 },
+      'Dotted names should build nested objects from positional ' +
+      'arguments.');
+
+    deepEqual(o.mapOptions(serve, { server: { port: 80 }, ms: 5 }),
+      { server: { host: 'localhost', port: 80 }, timeout: 5 },
+      'Nested hashes and aliases should be read.');
+
+    deepEqual(o.mapOptions(serve, o.named({ 'server.port': 81 })),
+      { server: { host: 'localhost', port: 81 }, timeout: 1000 },
+      'Flat dotted keys should be read, too.');
+
+    raises(function () {
+      o.mapOptions('...rest, last', 1);
+    }, /must come last/, 'Rest parameters must come last.');
+
+    deepEqual(o.mapOptions('__proto__.polluted, a', 1, 2), { a: 2 },
+      'Paths with unsafe keys should be dropped.');
+
+    equal({}.polluted, undefined,
+      'Unsafe paths should not pollute prototypes.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+
+  test('o.parseArgs()', function () {
+    var signature = 'serve(root:string, port|p:number=8080, ' +
+        'verbose:boolean=true, dryRun?:boolean, ...files)';
+
+    deepEqual(o.parseArgs(signature, ['public', '--port', '3000',
+      '--no-verbose', '--dry-run', 'a.html', 'b.html']),
+      { root: 'public', port: 3000, verbose: false, dryRun: true,
+        files: ['a.html', 'b.html'] },
+      'Flags and positional arguments should map onto the config.');
+
+    deepEqual(o.parseArgs(signature, ['--p=81', '--', '--root']),
+      { root: '--root', port: 81, verbose: true, dryRun: undefined,
+        files: [] },
+      'Aliases, --flag=value and -- should work, and defaults apply.');
+
+    deepEqual(o.parseArgs('...ids:number', ['--ids=1', '--ids', '2']),
+      { ids: [1, 2] }, 'Repeated rest flags should collect values.');
+
+    deepEqual(o.parseArgs(signature, ['r', '--files', 'a.html']).files,
+      ['a.html'], 'Untyped rest flags should take the next argument.');
+
+    deepEqual(o.parseArgs('name, verbose', ['--verbose']),
+      { name: undefined, verbose: true },
+      'Untyped flags without a value should be true.');
+
+    deepEqual(o.parseArgs(signature, ['public', 'a.html', 'b.html']),
+      { root: 'public', port: 8080, verbose: true, dryRun: undefined,
+        files: ['a.html', 'b.html'] },
+      'Defaulted params before a rest param should be left to flags.');
+
+    deepEqual(o.parseArgs('copy(from, to=out)', ['a', 'b']),
+      { from: 'a', to: 'b' },
+      'Without a rest param, defaulted params should be filled.');
+
+    raises(function () {
+      o.parseArgs(signature, ['public', '--color']);
+    }, /serve\(\) unknown option "--color"/,
+      'Unknown flags should throw.');
+
+    raises(function () {
+      o.parseArgs(signature, ['--port']);
+    }, /option "--port" needs a value/,
+      'Typed flags need a value.');
+
+    raises(function () {
+      o.parseArgs(signature, []);
+    }, /parameter "root" is required/,
+      'Required parameters should be checked.');
+
+    raises(function () {
+      o.parseArgs('name', ['a', 'b']);
+    }, /too many arguments/, 'Extra arguments should throw.');
+
+    equal(o.parseArgs.usage(signature), [
+      'Usage: serve <root> [...files] [options]',
+      '',
+      'Options:',
+      '  --root <string>       required',
+      '  --port, --p <number>  default: 8080',
+      '  --verbose             default: true',
+      '  --dry-run',
+      '  --files <value>       list of values'
+    ].join('\n'), 'Usage text should be generated from the signature.');
+  });
+}(odotjs));
+
+(function (o) {
+  'use strict';
+
+  test('Positional prototypes with setting names', function () {
+    var render = function render() {
+        return 'rendered';
+      },
+      widget = o.factory({ name: 'widget', render: render },
+        { x: 1 })();
+
+    ok(widget.render === render && widget.name === 'widget' &&
+      widget.x === 1,
+      'A prototype with a name key should not be read as settings.');
+
+    equal(o.factory(o.named({ name: 'widget' })).describe().name,
+      'widget', 'Settings should be read from marked hashes.');
+
+    equal(o({ evented: true, foo: 1 }, { x: 1 }).x, 1,
+      'o() should not read a prototype as settings.');
+
+    equal(o({ evented: true, foo: 1 }, { x: 1 }).foo, 1,
+      'The prototype should be kept.');
+
+    equal(typeof o({ evented: true, foo: 1 }).on, 'undefined',
+      'Positional prototypes should not turn on events.');
+
+    ok(typeof o.factory({ merge: function merge() {} },
+      { x: 1 })().merge === 'function',
+      'A prototype with a merge method should be kept.');
+
+    ok(typeof o({ freeze: function freeze() {} }).freeze === 'function',
+      'o() should accept a prototype with a freeze method.');
+
+    ok(!Object.isFrozen(o.factory({ freeze: function freeze() {} },
+      { x: 1 })()),
+      'o.factory() should accept a prototype with a freeze method.');
+
+    ok(Object.isFrozen(o(o.named({ freeze: true }))),
+      'freeze should still be read from marked hashes.');
+  });
+}(odotjs));